@@ -0,0 +1,188 @@
+/**
+ * Maps the files changed since a git ref to the workspace projects they affect: the projects
+ * that contain them, the projects that import changed shared code through the symlinks of the
+ * shared libraries and the projects that depend on affected projects
+ */
+
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { getProjects, collectImportSpecifiers, listSourceFiles } from './workspace.js';
+import { readMonorepoConfig, getSharedLibraries } from './monorepo-config.js';
+import { resolveSharedImport, resolveModuleFile } from './shared-modules.js';
+import { getWorkspaceDependencies, sortProjects } from './project-references.js';
+
+/**
+ * Files at the root of the monorepo that don't change how the projects are built or tested
+ */
+const documentationFilePattern = /(\.md|\.txt|^LICENSE(\..*)?)$/i;
+
+/**
+ * Runs a git command in the root directory of the monorepo
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string[]} args - Arguments of the git command
+ * @returns {string} Output of the command
+ */
+function git(rootDir, args) {
+  return execFileSync('git', args, { cwd: rootDir, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Checks whether a git ref names a commit
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} ref - Branch, tag or commit
+ * @returns {boolean} True if the ref exists
+ */
+function isCommitRef(rootDir, ref) {
+  try {
+    git(rootDir, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lists the files changed since the common ancestor of a base ref, like a pull request does.
+ * Without a head ref, the working tree is compared, including uncommitted and untracked files.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} base - Base ref, e.g. "origin/main"
+ * @param {string} [head] - Head ref, the working tree when not set
+ * @returns {string[]} Changed files relative to rootDir, with "/" separators
+ */
+function getChangedFiles(rootDir, base, head = undefined) {
+  const mergeBase = git(rootDir, ['merge-base', base, head ?? 'HEAD']).trim();
+  const diff = git(rootDir, ['diff', '--name-only', '--relative', mergeBase, ...(head ? [head] : [])]);
+  const untracked = head ? '' : git(rootDir, ['ls-files', '--others', '--exclude-standard']);
+
+  const files = `${diff}\n${untracked}`.split('\n').map(file => file.trim()).filter(Boolean);
+  return [...new Set(files)];
+}
+
+/**
+ * Finds the shared modules affected by changed shared files: the changed modules themselves
+ * and every module that imports an affected one, barrels included. A module whose relative
+ * import no longer resolves is affected as well, it imported a deleted file.
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string[]} changedFiles - Absolute paths of the changed files inside sharedDir
+ * @returns {Set<string>} Absolute paths of the affected modules
+ */
+function findAffectedSharedModules(sharedDir, changedFiles) {
+  const affected = new Set(changedFiles);
+  const importers = new Map();
+  const pending = [...changedFiles];
+
+  for (const modulePath of listSourceFiles(sharedDir)) {
+    for (const specifier of collectImportSpecifiers(modulePath).filter(specifier => specifier.startsWith('.'))) {
+      const resolved = resolveModuleFile(path.dirname(modulePath), specifier);
+      if (resolved === null) {
+        pending.push(modulePath);
+      } else {
+        importers.set(resolved, [...(importers.get(resolved) ?? []), modulePath]);
+      }
+    }
+  }
+
+  while (pending.length > 0) {
+    const modulePath = pending.pop();
+    affected.add(modulePath);
+    pending.push(...(importers.get(modulePath) ?? []).filter(importer => !affected.has(importer)));
+  }
+
+  return affected;
+}
+
+/**
+ * Finds the first import of a project that points to an affected shared module
+ * @param {object} project - Project from getProjects
+ * @param {{dir: string, symlink: string}[]} libraries - Shared roots with absolute directories
+ * @param {Set<string>} affectedModules - Absolute paths of the affected shared modules
+ * @returns {string|null} Import specifier, null if the project uses no affected shared code
+ */
+function findAffectedSharedImport(project, libraries, affectedModules) {
+  for (const filePath of listSourceFiles(project.dir)) {
+    for (const specifier of collectImportSpecifiers(filePath)) {
+      for (const { dir, symlink } of libraries) {
+        const resolved = resolveSharedImport(dir, specifier, symlink);
+
+        // An import that no longer resolves points to a deleted shared module
+        if (resolved === null || (resolved !== undefined && affectedModules.has(resolved))) {
+          return specifier;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the projects affected by changed files. A file inside a project affects the project,
+ * a changed shared module affects the projects that import it through the shared symlink,
+ * directly or through barrels, and any other changed shared file affects every project.
+ * A changed root file, other than documentation, affects every project. Finally, projects
+ * that depend on an affected project are affected too.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string[]} changedFiles - Changed files relative to rootDir
+ * @returns {{project: object, reason: string}[]} Affected projects in dependency order, with the
+ *   reason each one is affected
+ * @throws {DependencyCycleError} If the projects depend on each other in a cycle
+ */
+function findAffectedProjects(rootDir, changedFiles) {
+  const config = readMonorepoConfig(rootDir);
+  const projects = sortProjects(getProjects(rootDir));
+  const sharedDir = path.join(rootDir, config.sharedDir);
+  const libraries = getSharedLibraries(config).map(library => ({ ...library, dir: path.join(rootDir, library.dir) }));
+  const reasons = new Map();
+  const changedShared = [];
+
+  const isInside = (filePath, dir) => filePath.startsWith(dir + path.sep);
+  const affect = (project, reason) => {
+    if (!reasons.has(project)) {
+      reasons.set(project, reason);
+    }
+  };
+
+  for (const file of changedFiles) {
+    const filePath = path.join(rootDir, file);
+    const project = projects.find(({ dir }) => isInside(filePath, dir));
+    if (project) {
+      affect(project, `changed ${file}`);
+    } else if (isInside(filePath, sharedDir)) {
+      changedShared.push({ file, filePath });
+    } else if (!file.includes('/') && !documentationFilePattern.test(file)) {
+      projects.forEach(project => affect(project, `changed root file ${file}`));
+    }
+  }
+
+  if (changedShared.length > 0) {
+    const nonModule = changedShared.find(({ filePath }) =>
+      !/\.tsx?$/.test(filePath) || !libraries.some(({ dir }) => isInside(filePath, dir)));
+    if (nonModule) {
+      projects.forEach(project => affect(project, `changed shared file ${nonModule.file}`));
+    }
+
+    // Shared modules import each other only within their library
+    const affectedModules = new Set(libraries.flatMap(({ dir }) => {
+      const changedModules = changedShared.map(({ filePath }) => filePath).filter(filePath => isInside(filePath, dir));
+      return changedModules.length > 0 ? [...findAffectedSharedModules(dir, changedModules)] : [];
+    }));
+    for (const project of projects.filter(project => !reasons.has(project))) {
+      const specifier = findAffectedSharedImport(project, libraries, affectedModules);
+      if (specifier !== null) {
+        affect(project, `imports changed shared code through "${specifier}"`);
+      }
+    }
+  }
+
+  // Dependencies come first in the sorted list, so one pass covers indirect dependents
+  for (const project of projects) {
+    const dependency = getWorkspaceDependencies(project, projects).find(other => reasons.has(other));
+    if (dependency) {
+      affect(project, `depends on ${dependency.name}`);
+    }
+  }
+
+  return projects.filter(project => reasons.has(project)).map(project => ({ project, reason: reasons.get(project) }));
+}
+
+export { isCommitRef, getChangedFiles, findAffectedProjects };
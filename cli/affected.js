@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * This script finds the projects affected by the changes since a git ref, e.g. the target
+ * branch of a pull request, and prints them or runs a script only in them.
+ *
+ * Usage: npm run affected -- <base> [--head <ref>] [--json] [--run <script>]
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { isCommitRef, getChangedFiles, findAffectedProjects } from './affected-projects.js';
+import { getPackageManager } from './package-managers.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run affected -- <base> [--head <ref>] [--json] [--run <script>]
+
+Lists the projects affected by the changes since <base>, e.g. "origin/main": the projects with
+changed files, the projects that import changed shared modules, the projects that depend on
+affected projects, and all projects when a root configuration file changes.
+
+Options:
+  <base>           Branch, tag or commit to compare with, from its common ancestor with the head
+  --head <ref>     Compare with <ref> instead of the working tree
+  --json           Print the affected projects as JSON
+  --run <script>   Run the script in the affected projects that have it, in dependency order
+  -h, --help       Show this help
+
+Exit codes: 0 - success, 1 - a script failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, base: string, head: (string|undefined), json: boolean, run: (string|undefined)}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'head': { type: 'string' },
+        'json': { type: 'boolean' },
+        'run': { type: 'string' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (!values['help']) {
+    if (positionals.length !== 1) {
+      exitWithUsageError('The base ref is required');
+    }
+    if (values['json'] && values['run'] !== undefined) {
+      exitWithUsageError('--json cannot be used with --run');
+    }
+  }
+
+  return {
+    help: Boolean(values['help']),
+    base: positionals[0],
+    head: values['head'],
+    json: Boolean(values['json']),
+    run: values['run']
+  };
+}
+
+/**
+ * Main function of the affected command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  for (const ref of [args.base, args.head].filter(ref => ref !== undefined)) {
+    if (!isCommitRef(rootDir, ref)) {
+      exitWithUsageError(`"${ref}" is not a commit of the git repository`);
+    }
+  }
+
+  const changedFiles = getChangedFiles(rootDir, args.base, args.head);
+  const affected = findAffectedProjects(rootDir, changedFiles);
+
+  if (args.json) {
+    console.log(JSON.stringify(affected.map(({ project, reason }) => ({
+      name: project.name,
+      packageName: project.packageName,
+      dir: path.relative(rootDir, project.dir).replace(/\\/g, '/'),
+      reason
+    })), null, 2));
+    return;
+  }
+
+  if (args.run === undefined) {
+    console.log(chalk.bold.blue(`🔍 ${affected.length} affected project(s), ${changedFiles.length} changed file(s) since ${args.base}:`));
+    affected.forEach(({ project, reason }) => console.log(`  ${project.name} ${chalk.gray(`(${reason})`)}`));
+    return;
+  }
+
+  const manager = getPackageManager(rootDir);
+  const runnable = affected.filter(({ project }) => project.packageJson.scripts?.[args.run]);
+  affected.filter(item => !runnable.includes(item))
+    .forEach(({ project }) => console.log(chalk.gray(`Skipping ${project.name}, it has no "${args.run}" script`)));
+  if (runnable.length === 0) {
+    console.log(chalk.yellow(`No affected project has a "${args.run}" script`));
+    return;
+  }
+
+  for (const { project } of runnable) {
+    console.log(chalk.bold.blue(`\n▶ ${project.name}: ${args.run}`));
+    const command = manager.runInWorkspace(args.run, project.packageName);
+    try {
+      execSync(command, { cwd: rootDir, stdio: 'inherit' });
+    } catch (error) {
+      console.error(chalk.red(`❌ "${args.run}" failed in ${project.name}: ${command}`));
+      exit(1);
+    }
+  }
+
+  console.log(chalk.green(`\n✅ "${args.run}" finished in ${runnable.map(({ project }) => project.name).join(', ')}`));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * This script builds the TypeScript projects of the monorepo with "tsc -b". It first updates
+ * the project references from the dependencies between the workspaces, then runs the build
+ * scripts of the projects concurrently in dependency order, restoring the builds of unchanged
+ * projects from the task cache. With tsc options, it runs "tsc -b" for all of them at once instead.
+ *
+ * Usage: npm run build -- [<project>...] [--concurrency <n>] [--bail|--continue] [--no-cache]
+ *   [--force] [--verbose] [--clean] [--dry]
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { getWorkspaceDependencies, updateProjectReferences } from './project-references.js';
+import { getPackageManager } from './package-managers.js';
+import { taskRunnerOptions, getTaskRunnerOptions, runTasks, printTaskSummary } from './task-runner.js';
+
+/**
+ * Options passed to "tsc -b" as they are
+ */
+const tscBuildOptions = ['force', 'verbose', 'clean', 'dry'];
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run build -- [<project>...] [--concurrency <n>] [--bail|--continue] [--no-cache]
+  npm run build -- [<project>...] [--force] [--verbose] [--clean] [--dry]
+
+Updates the TypeScript project references and builds the projects with "tsc -b", several at a
+time: the projects a project depends on are built first, projects without changes are restored
+from the task cache. The tsc options build all selected projects with a single "tsc -b" instead.
+
+Options:
+  <project>            Build only these projects and the projects they depend on, default: all projects
+  --concurrency <n>    Build up to <n> projects at the same time, default: the number of CPUs
+  --bail               Stop the running builds and start no new ones after a failure (default)
+  --continue           After a failure, keep building the projects that don't depend on the failed ones
+  --no-cache           Build every project, without reading or writing the task cache
+  --force              Rebuild all projects, even the ones without changes
+  --verbose            Print why each project is built or skipped
+  --clean              Delete the build output of the projects instead of building them
+  --dry                Show what would be built without building it
+  -h, --help           Show this help
+
+Exit codes: 0 - success, 1 - build failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, projects: string[], cache: boolean, concurrency: number, continueOnError: boolean,
+ *   tscOptions: string[]}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        ...Object.fromEntries(tscBuildOptions.map(option => [option, { type: 'boolean' }])),
+        ...taskRunnerOptions,
+        'no-cache': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  let runnerOptions;
+  try {
+    runnerOptions = getTaskRunnerOptions(values);
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  return {
+    help: Boolean(values['help']),
+    projects: positionals,
+    cache: !values['no-cache'],
+    ...runnerOptions,
+    tscOptions: tscBuildOptions.filter(option => values[option]).map(option => `--${option}`)
+  };
+}
+
+/**
+ * Main function of the build command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const { updatedFiles, skippedFiles, projects } = updateProjectReferences(rootDir);
+  updatedFiles.forEach(file => console.log(chalk.blue(`Updated references in ${file}`)));
+  skippedFiles.forEach(file => console.warn(chalk.yellow(`Warning: Skipping ${file}, it is not plain JSON`)));
+
+  // tsc builds the references of the given projects itself, the root tsconfig.json references all of them
+  const selected = args.projects.map(name => {
+    const project = projects.find(candidate => candidate.name === name);
+    if (!project) {
+      exitWithUsageError(`TypeScript project "${name}" not found, available: ${projects.map(({ name }) => name).join(', ')}`);
+    }
+    return project;
+  });
+  const buildPaths = selected.length > 0
+    ? projects.filter(project => selected.includes(project)).map(({ dir }) => path.relative(rootDir, dir).replace(/\\/g, '/'))
+    : ['.'];
+
+  // The selected projects with everything they depend on, in the order tsc builds them
+  const included = new Set(selected.length > 0 ? [] : projects);
+  const include = (project) => {
+    if (!included.has(project)) {
+      included.add(project);
+      getWorkspaceDependencies(project, projects).forEach(include);
+    }
+  };
+  selected.forEach(include);
+  const buildOrder = projects.filter(project => included.has(project));
+  console.log(chalk.bold.blue(`🔨 Build order: ${buildOrder.map(({ name }) => name).join(', ') || 'no TypeScript projects'}`));
+
+  if (args.tscOptions.length === 0) {
+    const results = await runTasks({
+      rootDir,
+      script: 'build',
+      projects: buildOrder,
+      cache: args.cache,
+      concurrency: args.concurrency,
+      continueOnError: args.continueOnError
+    });
+    printTaskSummary('build', results);
+    if (results.some(result => result.status === 'failed')) {
+      exit(1);
+    }
+    return;
+  }
+
+  console.log('');
+
+  const command = [getPackageManager(rootDir).exec('tsc'), '-b', ...buildPaths, ...args.tscOptions].join(' ');
+  try {
+    execSync(command, { cwd: rootDir, stdio: 'inherit' });
+  } catch (error) {
+    console.error(chalk.red(`❌ Build failed: ${command}`));
+    exit(1);
+  }
+
+  console.log(chalk.green('✅ Build finished'));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * This script manages the task cache of the monorepo: it shows what is cached and removes
+ * cached results.
+ *
+ * Usage: npm run cache -- <status|clean> [<project>...]
+ */
+
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { readMonorepoConfig } from './monorepo-config.js';
+import { cacheDirName, listCacheEntries, cleanCache } from './task-cache.js';
+
+/**
+ * Commands of the script
+ */
+const commands = ['status', 'clean'];
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run cache -- status
+  npm run cache -- clean [<project>...]
+
+Commands:
+  status      Show the cached results per project and the size of the cache
+  clean       Remove the cached results of all projects or of the given projects
+
+Options:
+  -h, --help  Show this help
+
+Exit codes: 0 - success, 1 - failure, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, command: string, projects: string[]}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  const [command, ...projects] = positionals;
+  if (!values['help']) {
+    if (!commands.includes(command)) {
+      exitWithUsageError(command ? `Unknown command "${command}", expected: ${commands.join(', ')}` : 'The command is required');
+    }
+    if (command === 'status' && projects.length > 0) {
+      exitWithUsageError('status takes no projects');
+    }
+  }
+
+  return {
+    help: Boolean(values['help']),
+    command,
+    projects
+  };
+}
+
+/**
+ * Formats a size in bytes
+ * @param {number} size - Size in bytes
+ * @returns {string} Size in megabytes or kilobytes
+ */
+function formatSize(size) {
+  return size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(size / 1024)} KB`;
+}
+
+/**
+ * Main function of the cache command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  if (args.command === 'clean') {
+    const { count, size } = cleanCache(rootDir, args.projects);
+    console.log(chalk.green(`✅ Removed ${count} cached result(s), ${formatSize(size)}`));
+    return;
+  }
+
+  const entries = listCacheEntries(rootDir);
+  const { maxSize } = readMonorepoConfig(rootDir).cache;
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  console.log(chalk.bold.blue(`📦 ${cacheDirName}: ${entries.length} cached result(s), ${formatSize(totalSize)} of ${maxSize} MB`));
+
+  const projects = [...new Set(entries.map(entry => entry.project))].sort();
+  for (const project of projects) {
+    const projectEntries = entries.filter(entry => entry.project === project);
+    const scripts = [...new Set(projectEntries.map(entry => entry.script))].sort().join(', ');
+    const size = projectEntries.reduce((total, entry) => total + entry.size, 0);
+    console.log(`  ${project}: ${projectEntries.length} result(s) of ${scripts}, ${formatSize(size)}`);
+  }
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
@@ -2,282 +2,167 @@
 
 /**
  * This script allows creating new projects/modules in the monorepo.
- * It provides an interactive CLI for selecting project types and templates.
+ * It provides an interactive CLI for selecting project types and templates,
+ * or a non-interactive mode driven by command line flags (see --help).
  */
 
 import os from 'os';
 import fs from 'fs';
 import path from 'path';
-import readline from 'readline';
 import chalk from 'chalk';
 import { execSync } from 'child_process';
 import { exit } from 'process';
-import { fileURLToPath } from 'url';
-import { createNewProject } from './create-new-project.js';
+import { parseArgs } from 'util';
+import { createNewProject, validateProjectName, getNewProjectSharedLibraries } from './create-new-project.js';
+import { loadTemplates, findTemplate, groupTemplatesByCategory } from './template-registry.js';
+import { readMonorepoConfig, getProjectGroups, findProjectGroup, getSharedLibraries } from './monorepo-config.js';
+import { getPackageManager } from './package-managers.js';
+import {
+  isAdminWindows,
+  findRootDir,
+  isGitRepository,
+  addFilesToGit,
+  createInteractiveMenu,
+  createPrompt,
+  askYesNo,
+  exitWithUsageError
+} from './utils.js';
+import { validateModuleName, reexportStyles, parseExports, planBarrelUpdates, applyBarrelUpdates } from './shared-modules.js';
 
 /**
- * Checks if script is running with administrator privileges on Windows
- * @returns {boolean} True if admin rights are available or not on Windows
+ * Asks how to re-export a shared module whose names collide with names its barrels already export
+ * @param {object} params - Import path and conflicting names from planBarrelUpdates
+ * @returns {Promise<string>} One of reexportStyles
  */
-function isAdminWindows() {
-  if (os.platform() !== 'win32') return true; // Not Windows, assume it has the necessary permissions
-  try {
-    execSync('net session', { stdio: 'ignore' });
-    return true;
-  } catch (error) {
-    return false;
-  }
-}
-
-/**
- * Determines the root directory of the monorepo
- * @returns {string} The absolute path to the root directory
- */
-function findRootDir() {
-  // Get the current script's directory
-  const __filename = fileURLToPath(import.meta.url);
-  const currentDir = path.dirname(__filename);
-  
-  // Expected path of the current script
-  const expectedScriptPath = path.join('cli');
-
-  // Check if the current script is in the expected location
-  if (!currentDir.endsWith(expectedScriptPath)) {
-    console.error(chalk.red('Error: This script must be located in <rootDir>/cli'));
-    exit(1);
-  }
-
-  // Calculate the root directory by removing the expected path from the current directory
-  return currentDir.slice(0, currentDir.length - expectedScriptPath.length);
-}
+async function askReexportStyle({ importPath, conflicts }) {
+  console.log(chalk.yellow(`Warning: '${importPath}' exports names that are already exported:`));
+  conflicts.forEach(({ indexPath, name, sources }) => {
+    console.log(chalk.yellow(`  ${name} in ${indexPath} (from ${sources.join(', ')})`));
+  });
+  console.log('');
 
-/**
- * Checks if the directory is under Git version control
- * @param {string} dir - Directory to check
- * @returns {boolean} True if the directory is under Git version control
- */
-function isGitRepository(dir) {
-  try {
-    execSync('git rev-parse --is-inside-work-tree', {
-      cwd: dir,
-      stdio: 'ignore'
-    });
-    return true;
-  } catch (error) {
-    return false;
-  }
-}
+  const options = [
+    `Named re-export without the conflicting names: export { ... } from '${importPath}'`,
+    `Namespaced re-export: export * as ... from '${importPath}'`,
+    `Plain re-export anyway: export * from '${importPath}'`,
+    'Cancel'
+  ];
+  const styles = ['named', 'namespace', 'star'];
 
-/**
- * Adds files to Git
- * @param {string} rootDir - Root directory of the repository
- * @param {string[]} files - Array of file paths relative to rootDir
- */
-function addFilesToGit(rootDir, files) {
-  try {
-    for (const file of files) {
-      execSync(`git add "${file}"`, {
-        cwd: rootDir,
-        stdio: 'ignore'
-      });
-    }
-    console.log(chalk.green('✅ Files successfully added to Git'));
-  } catch (error) {
-    console.error(chalk.red(`Error adding files to Git: ${error.message}`));
+  const index = await createInteractiveMenu('How should the module be re-exported?', options);
+  if (index === options.length - 1) {
+    console.log('Cancelled');
+    exit(2);
   }
+  return styles[index];
 }
 
 /**
- * Creates an interactive menu with keyboard navigation
- * @param {string} title - Menu title/prompt
- * @param {string[]} options - Array of menu options
- * @returns {Promise<number>} Index of selected option
+ * Asks which shared libraries a new project uses
+ * @param {object} config - Monorepo configuration from readMonorepoConfig
+ * @param {string[]} libraryNames - Names of the shared libraries
+ * @returns {Promise<string[]|undefined>} Names of the chosen libraries, undefined for all of them
  */
-function createInteractiveMenu(title, options) {
-  let selectedIndex = 0;
-  let cursorPosition = 0;
-
-  function renderMenu() {
-    // Clear previous menu if any
-    if (cursorPosition > 0) {
-      process.stdout.write(`\x1B[${cursorPosition}A`); // Move cursor up
-      process.stdout.write(`\x1B[J`); // Clear from cursor to end of screen
-    }
-
-    // Render the title and navigation hint
-    console.log(chalk.bold(title));
-    console.log(chalk.italic('Use ↑/↓ arrow keys to navigate and Enter to select'));
-    console.log('');
+async function askSharedLibraries(config, libraryNames) {
+  const prompt = createPrompt();
+  let shared = null;
 
-    // Render menu options
-    options.forEach((option, index) => {
-      if (index === selectedIndex) {
-        console.log(chalk.blue(`> ${option}`));
-      } else {
-        console.log(`  ${option}`);
-      }
+  console.log('');
+  while (shared === null) {
+    const answer = await new Promise((resolve) => {
+      prompt.question(chalk.yellow(`Shared libraries the project uses, comma-separated (${libraryNames.join(', ')}; empty for all): `), resolve);
     });
-
-    // Update cursor position for next render
-    cursorPosition = options.length + 3; // title + hint + blank line + options
-  }
-
-  return new Promise((resolve) => {
-    // Set up terminal to handle input without requiring Enter
-    readline.emitKeypressEvents(process.stdin);
-    if (process.stdin.isTTY) {
-      process.stdin.setRawMode(true);
+    const names = answer.split(',').map(name => name.trim()).filter(Boolean);
+    try {
+      getNewProjectSharedLibraries(config, names);
+      shared = names.length > 0 ? names : undefined;
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
     }
-    process.stdin.resume(); // Ensure stdin is active
-
-    renderMenu();
-
-    // Handle keypress events
-    const onKeyPress = (str, key) => {
-      if (key.name === 'c' && key.ctrl) {
-        process.stdin.setRawMode(false);
-        process.stdin.pause();
-        exit(0);
-      } else if (key.name === 'up' && selectedIndex > 0) {
-        selectedIndex--;
-        renderMenu();
-      } else if (key.name === 'down' && selectedIndex < options.length - 1) {
-        selectedIndex++;
-        renderMenu();
-      } else if (key.name === 'return') {
-        process.stdin.removeListener('keypress', onKeyPress); // Clean up listener
-        process.stdin.setRawMode(false);
-        process.stdin.pause();
-        resolve(selectedIndex);
-      }
-    };
-
-    process.stdin.on('keypress', onKeyPress);
-  });
-}
-
-/**
- * Creates a standard readline interface for text input
- * @returns {readline.Interface} Readline interface
- */
-function createPrompt() {
-  return readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
-}
-
-/**
- * Asks user a yes/no question and returns their answer
- * @param {string} question - The question to ask
- * @returns {Promise<boolean>} User's answer (true for yes, false for no)
- */
-async function askYesNo(question) {
-  const prompt = createPrompt();
-
-  const answer = await new Promise((resolve) => {
-    prompt.question(
-      chalk.yellow(`${question} (y/n): `),
-      (answer) => resolve(answer.trim().toLowerCase())
-    );
-  });
+  }
 
   prompt.close();
-  return answer === 'y' || answer === 'yes';
+  return shared;
 }
 
 /**
  * Creates a new shared module
  * @param {string} rootDir - Path to the root directory
+ * @param {string} [presetName] - Module name; the user is prompted for it when omitted
+ * @param {object} [options]
+ * @param {function(object): Promise<string|null>} [options.chooseStyle] - Decides how to re-export the module
+ *   when its names collide with a barrel, see planBarrelUpdates
+ * @param {string} [options.library] - Shared library of the module when the monorepo has several,
+ *   the user chooses it when omitted
  * @returns {Promise<string[]>} Array of created file paths relative to rootDir
  */
-async function createNewSharedModule(rootDir) {
+async function createNewSharedModule(rootDir, presetName = '', { chooseStyle = undefined, library = undefined } = {}) {
   console.log(chalk.bold.blue('📦 Creating a new shared module'));
   console.log('');
 
-  // Calculate shared directory path
-  const sharedDir = path.join(rootDir, 'shared');
+  // The module goes to one of the shared libraries, its barrels end at the root of the library
+  const libraries = getSharedLibraries(readMonorepoConfig(rootDir));
+  let selectedLibrary = libraries.length === 1 ? libraries[0] : libraries.find(candidate => candidate.name === library);
+  if (!selectedLibrary) {
+    const libraryIndex = await createInteractiveMenu('Select the shared library:', libraries.map(candidate => `${candidate.name} (${candidate.dir})`));
+    selectedLibrary = libraries[libraryIndex];
+    console.log('');
+  }
+  const sharedDir = path.join(rootDir, selectedLibrary.dir);
 
-  const prompt = createPrompt();
   const createdFiles = [];
+  let moduleName = presetName;
 
-  let moduleName = '';
-  let isValidModule = false;
-
-  while (!isValidModule) {
-    // Ask for module name
-    moduleName = await new Promise((resolve) => {
-      prompt.question(
-        chalk.yellow(`Enter module name (examples: "my-module.ts" or "my-path/my-module.ts"): `),
-        (answer) => resolve(answer.trim())
-      );
-    });
-
-    // Validate module name
-    if (!moduleName) {
-      console.error(chalk.red('Error: Module name cannot be empty'));
-      continue;
+  if (moduleName) {
+    const error = validateModuleName(sharedDir, moduleName);
+    if (error) {
+      throw new Error(error);
     }
+  } else {
+    const prompt = createPrompt();
+
+    while (!moduleName) {
+      // Ask for module name
+      moduleName = await new Promise((resolve) => {
+        prompt.question(
+          chalk.yellow(`Enter module name (examples: "my-module.ts" or "my-path/my-module.ts"): `),
+          (answer) => resolve(answer.trim())
+        );
+      });
 
-    if (moduleName.startsWith('/')) {
-      console.error(chalk.red('Error: Module name cannot start with "/"'));
-      continue;
-    }
-
-    if (moduleName.includes('\\')) {
-      console.error(chalk.red('Error: Use "/" instead of "\\" for directory separators'));
-      continue;
-    }
-
-    if (!moduleName.endsWith('.ts')) {
-      console.error(chalk.red('Error: Module file must end with ".ts" extension'));
-      continue;
-    }
-
-    // Check intermediate directories
-    const parts = moduleName.split('/');
-    let invalidPart = false;
-
-    for (let i = 0; i < parts.length - 1; i++) {
-      const part = parts[i];
-      if (part.startsWith('.') || part.endsWith('.ts')) {
-        console.error(chalk.red(`Error: Directory "${part}" cannot start with "." or end with ".ts"`));
-        invalidPart = true;
-        break;
+      // Validate module name
+      const error = validateModuleName(sharedDir, moduleName);
+      if (error) {
+        console.error(chalk.red(`Error: ${error}`));
+        moduleName = '';
       }
     }
 
-    if (invalidPart) continue;
-
-    // Check if module already exists
-    const modulePath = path.join(sharedDir, moduleName);
-    if (fs.existsSync(modulePath)) {
-      console.error(chalk.red(`Error: Module "${moduleName}" already exists at "${modulePath}"`));
-      continue;
-    }
-
-    isValidModule = true;
+    prompt.close();
   }
 
-  prompt.close();
-
   // Create module file and directories
   const modulePath = path.join(sharedDir, moduleName);
   const moduleDir = path.dirname(modulePath);
 
-  // Create directories if they don't exist
-  fs.mkdirSync(moduleDir, { recursive: true });
-
-  // Create the module file with a basic template
+  // Module file with a basic template
   const moduleCodeName = moduleName.replace(/\.ts$/, '').replace(/[^a-zA-Z0-9]/g, '_');
-  fs.writeFileSync(modulePath, `/**
+  const moduleSource = `/**
  * ${path.basename(moduleName)}
  */
 
 export const ${moduleCodeName}_example = () => {
   console.log('Hello from ${moduleName}');
 };
-`);
+`;
+
+  // Check the barrels for name conflicts before anything is written
+  const moduleNames = new Set(parseExports(moduleSource, moduleDir).flatMap(entry => [...entry.names]));
+  const barrelUpdates = await planBarrelUpdates(sharedDir, modulePath, { names: moduleNames, chooseStyle });
+
+  // Create directories if they don't exist
+  fs.mkdirSync(moduleDir, { recursive: true });
+  fs.writeFileSync(modulePath, moduleSource);
 
   // Add to created files (relative path from rootDir)
   const relModulePath = path.relative(rootDir, modulePath);
@@ -286,67 +171,211 @@ export const ${moduleCodeName}_example = () => {
   console.log(chalk.green(`✅ Created module: ${modulePath}`));
 
   // Update or create index.ts files in each parent directory
-  let childPath = modulePath;
-
-  while (true) {
-    const baseDir = path.dirname(childPath);
-    const indexPath = path.join(baseDir, 'index.ts');
-
-    // Don't add self-reference
-    if (indexPath !== childPath) {
-      // Create index file if it doesn't exist
-      let fileCreated = false;
-      if (!fs.existsSync(indexPath)) {
-        fs.writeFileSync(indexPath, '');
-        fileCreated = true;
-        console.log(chalk.blue(`Created index: ${indexPath}`));
-      }
+  for (const indexPath of applyBarrelUpdates(barrelUpdates)) {
+    createdFiles.push(path.relative(rootDir, indexPath));
+  }
 
-      // Calculate the relative path for the import
-      let importPath = './' + path.relative(baseDir, childPath).replace(/\\/g, '/');
-      // Remove .ts extension for the import
-      importPath = importPath.replace(/\.ts$/, '');
+  return createdFiles;
+}
 
-      // Read existing content
-      const indexContent = fs.readFileSync(indexPath, 'utf8');
+/**
+ * Prints command line usage of the non-interactive mode
+ * @param {object[]} templates - Loaded project templates
+ * @param {{name: string, dir: string}[]} groups - Project groups from getProjectGroups
+ * @param {string[]} libraryNames - Names of the shared libraries, empty without the sharedLibraries setting
+ */
+function printUsage(templates, groups, libraryNames) {
+  const libraries = libraryNames.length > 0 ? libraryNames.join(', ') : 'none, the monorepo has a single shared directory';
+  console.log(`Usage:
+  create-new [--dry-run]                       Interactive mode
+  create-new --type <type> --name <name> [--group <group>] [--shared <names>] [--var <key=value>]... [--offline] [--git | --no-git] [--install | --no-install] [--dry-run]
+  create-new --shared-module <path.ts> [--library <name>] [--reexport <style>] [--git | --no-git]
+
+Options:
+  --type <type>           Project template id or name, one of: ${templates.map(template => template.id).join(', ')}
+  --name <name>           Project name (letters, numbers, hyphens and underscores)
+  --group <group>         Project group, one of: ${groups.map(group => group.name).join(', ')}; default: ${groups[0]?.name ?? 'none'}
+  --shared <names>        Comma-separated shared libraries the project uses, e.g. core,ui; default: all
+                          of them. Shared libraries: ${libraries}
+  --var <key=value>       Value of a variable of a file template, e.g. --var port=4000; can be repeated
+  --shared-module <path>  Shared module path relative to "shared" or to its library, e.g. "utils/date.ts"
+  --library <name>        Shared library of the module, required when the monorepo has several
+  --reexport <style>      How to re-export a shared module whose names collide with a barrel:
+                          ${reexportStyles.join(', ')}; by default the creation fails on conflicts
+  --offline               Use the bundled React, Vue.js and Svelte starters instead of create-vite,
+                          default: only when the npm registry is not reachable
+  --git, --no-git         Add (or don't add) the created files to Git, default: don't add
+  --install, --no-install Install (or don't install) dependencies, default: install
+  --dry-run               Preview the files and package.json changes of a new project, write nothing
+  -h, --help              Show this help
+
+Exit codes: 0 - success, 1 - creation or installation failed, 2 - invalid arguments`);
+}
 
-      // Prepare the export statement
-      const exportStatement = `export * from '${importPath}';`;
+/**
+ * Parses the --var options
+ * @param {string[]} assignments - Values of the --var options in "key=value" format
+ * @returns {object} Variable values by name
+ */
+function parseVariables(assignments) {
+  const variables = {};
+  for (const assignment of assignments) {
+    const match = assignment.match(/^([A-Za-z_]\w*)=(.*)$/s);
+    if (!match) {
+      exitWithUsageError(`Invalid --var "${assignment}", expected <key>=<value>`);
+    }
+    variables[match[1]] = match[2];
+  }
+  return variables;
+}
 
-      // Add the export if it doesn't already exist
-      if (!indexContent.includes(exportStatement)) {
-        const newContent = indexContent
-          ? indexContent.trim() + '\n' + exportStatement + '\n'
-          : exportStatement + '\n';
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {object} Parsed options, interactive mode is used when neither a project nor a module is passed
+ */
+function parseCommandLine(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'type': { type: 'string' },
+        'name': { type: 'string' },
+        'group': { type: 'string' },
+        'shared': { type: 'string' },
+        'var': { type: 'string', multiple: true },
+        'offline': { type: 'boolean' },
+        'shared-module': { type: 'string' },
+        'library': { type: 'string' },
+        'reexport': { type: 'string' },
+        'git': { type: 'boolean' },
+        'no-git': { type: 'boolean' },
+        'install': { type: 'boolean' },
+        'no-install': { type: 'boolean' },
+        'dry-run': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: false
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
 
-        fs.writeFileSync(indexPath, newContent);
+  if (values['git'] && values['no-git']) {
+    exitWithUsageError('--git and --no-git cannot be used together');
+  }
 
-        // Add to created files only if we created a new file
-        if (fileCreated) {
-          const relIndexPath = path.relative(rootDir, indexPath);
-          createdFiles.push(relIndexPath);
-        }
+  if (values['install'] && values['no-install']) {
+    exitWithUsageError('--install and --no-install cannot be used together');
+  }
 
-        console.log(chalk.blue(`Updated index: ${indexPath} with export for ${importPath}`));
-      }
+  const options = {
+    help: Boolean(values['help']),
+    interactive: values['type'] === undefined && values['name'] === undefined && values['shared-module'] === undefined,
+    type: values['type'],
+    name: values['name']?.trim(),
+    group: values['group']?.trim(),
+    shared: values['shared']?.split(',').map(name => name.trim()).filter(Boolean),
+    variables: parseVariables(values['var'] ?? []),
+    offline: values['offline'] || undefined,
+    sharedModule: values['shared-module']?.trim(),
+    library: values['library']?.trim(),
+    reexport: values['reexport'],
+    git: values['git'] ? true : values['no-git'] ? false : undefined,
+    install: !values['no-install'],
+    dryRun: Boolean(values['dry-run'])
+  };
+
+  if (options.reexport !== undefined && !reexportStyles.includes(options.reexport)) {
+    exitWithUsageError(`Invalid re-export style: ${options.reexport}. Valid styles: ${reexportStyles.join(', ')}`);
+  }
+
+  if (options.help || options.interactive) {
+    return options;
+  }
+
+  if (options.sharedModule !== undefined) {
+    if (options.type !== undefined || options.name !== undefined || options.group !== undefined || options.shared !== undefined) {
+      exitWithUsageError('--shared-module cannot be combined with --type, --name, --group or --shared');
+    }
+
+    if (options.dryRun) {
+      exitWithUsageError('--dry-run is only supported for projects');
+    }
+
+    if (Object.keys(options.variables).length > 0) {
+      exitWithUsageError('--var is only supported for projects');
+    }
+
+    if (options.offline) {
+      exitWithUsageError('--offline is only supported for projects');
+    }
+  } else {
+    if (options.reexport !== undefined) {
+      exitWithUsageError('--reexport is only supported for shared modules');
     }
 
-    // Stop if we've reached the shared directory
-    if (path.relative(sharedDir, baseDir) === '') {
-      break;
+    if (options.library !== undefined) {
+      exitWithUsageError('--library is only supported for shared modules');
     }
 
-    // Next iteration
-    childPath = baseDir;
+    if (options.type === undefined) {
+      exitWithUsageError('Either --type or --shared-module is required');
+    }
+
+    if (options.name === undefined) {
+      exitWithUsageError('--name is required when --type is specified');
+    }
   }
 
-  return createdFiles;
+  return options;
+}
+
+/**
+ * Decides whether created files should be added to Git
+ * @param {object} args - Parsed command line options
+ * @param {string} question - Question to ask in interactive mode when no Git flag was passed
+ * @returns {Promise<boolean>} True if the files should be added
+ */
+async function confirmAddToGit(args, question) {
+  if (args.git !== undefined) {
+    return args.git;
+  }
+  return args.interactive ? await askYesNo(question) : false;
 }
 
 /**
  * Main function that orchestrates the project creation workflow
  */
 async function main() {
+  // Parse command line arguments, no project or module means interactive mode
+  const args = parseCommandLine(process.argv.slice(2));
+
+  // Find the root directory and the project templates, including the repo-local ones
+  const rootDir = findRootDir();
+  const config = readMonorepoConfig(rootDir);
+  const groups = getProjectGroups(config);
+  const templates = await loadTemplates(rootDir);
+
+  const libraries = getSharedLibraries(config);
+  const libraryNames = config.sharedLibraries ?? [];
+
+  if (args.help) {
+    printUsage(templates, groups, libraryNames);
+    return;
+  }
+
+  if (args.type !== undefined && !findTemplate(templates, args.type)) {
+    exitWithUsageError(`Invalid project type: ${args.type}\nValid project types: ${templates.map(template => template.id).join(', ')}`);
+  }
+
+  const presetGroup = args.group === undefined ? undefined : findProjectGroup(groups, args.group);
+  if (args.group !== undefined && !presetGroup) {
+    exitWithUsageError(`Invalid project group: ${args.group}\nValid project groups: ${groups.map(group => group.name).join(', ')}`);
+  }
+
   console.log(chalk.bold.green('🚀 Create New Project in Monorepo'));
   console.log('');
 
@@ -357,29 +386,78 @@ async function main() {
     exit(1);
   }
 
-  // Find the root directory
-  const rootDir = findRootDir();
-
-  // Calculate shared directory path
-  const sharedDir = path.join(rootDir, 'shared');
+  // Validate names passed on the command line before doing anything
+  if (args.library !== undefined && !libraryNames.includes(args.library)) {
+    exitWithUsageError(libraryNames.length > 0
+      ? `Invalid shared library: ${args.library}\nValid shared libraries: ${libraryNames.join(', ')}`
+      : `Invalid shared library: ${args.library}\nThe monorepo has no "sharedLibraries" setting`);
+  }
+  if (args.sharedModule !== undefined) {
+    const library = libraries.length === 1 ? libraries[0] : libraries.find(candidate => candidate.name === args.library);
+    if (!library) {
+      exitWithUsageError(`--library is required, the shared libraries are: ${libraryNames.join(', ')}`);
+    }
+    const error = validateModuleName(path.join(rootDir, library.dir), args.sharedModule);
+    if (error) {
+      exitWithUsageError(error);
+    }
+  } else if (!args.interactive) {
+    const error = validateProjectName(rootDir, args.name, presetGroup?.dir);
+    if (error) {
+      exitWithUsageError(error);
+    }
+  }
+  if (args.shared !== undefined) {
+    try {
+      getNewProjectSharedLibraries(config, args.shared);
+    } catch (error) {
+      exitWithUsageError(error.message);
+    }
+  }
 
-  // Primary project category menu
+  // Primary project category menu, a category with a single template is offered directly
+  const templateGroups = groupTemplatesByCategory(templates);
   const projectCategories = [
     'Shared module',
-    'Empty Node.js',
-    'Frontend: React, Next.js, Angular, Vue.js, Svelte',
-    'Backend: Express.js, NestJS, Fastify, AdonisJS, FeathersJS',
-    'Mobile: React Native, Expo, NativeScript, Ionic, Capacitor.js',
-    'Desktop: Electron, Tauri, Neutralino.js, Proton Native, Sciter',
+    ...templateGroups.map(group => group.templates.length === 1
+      ? group.templates[0].displayName
+      : `${group.category}: ${group.templates.map(template => template.displayName).join(', ')}`)
   ];
 
-  const categoryIndex = await createInteractiveMenu('What would you like to create?', projectCategories);
-  const selectedCategory = projectCategories[categoryIndex];
+  let categoryIndex;
+  if (!args.interactive) {
+    categoryIndex = args.sharedModule !== undefined ? 0 : -1;
+  } else {
+    categoryIndex = await createInteractiveMenu('What would you like to create?', projectCategories);
+  }
 
   // Handle shared module separately
   if (categoryIndex === 0) {
-    console.log('');
-    const createdFiles = await createNewSharedModule(rootDir);
+    if (args.dryRun) {
+      exitWithUsageError('--dry-run is only supported for projects');
+    }
+
+    if (args.interactive) {
+      console.log('');
+    }
+    // Name conflicts in the barrels are resolved with --reexport or in the menu, otherwise creation fails
+    const chooseStyle = args.reexport !== undefined
+      ? async () => args.reexport
+      : args.interactive ? askReexportStyle : undefined;
+
+    let createdFiles;
+    try {
+      createdFiles = await createNewSharedModule(rootDir, args.sharedModule, { chooseStyle, library: args.library });
+    } catch (error) {
+      if (error.code === 'EXPORT_CONFLICT') {
+        console.error(chalk.red(`Error: ${error.message}`));
+        console.error(chalk.yellow(error.style === 'named'
+          ? 'Pass --reexport namespace to re-export it as a namespace.'
+          : 'Pass --reexport named or --reexport namespace to re-export it without the conflicts.'));
+        exit(1);
+      }
+      throw error;
+    }
 
     // Check if we need to add files to Git
     if (createdFiles.length > 0 && isGitRepository(rootDir)) {
@@ -392,7 +470,7 @@ async function main() {
         promptMessage = `Would you like to add ${createdFiles.length} files to Git?`;
       }
 
-      const shouldAddToGit = await askYesNo(promptMessage);
+      const shouldAddToGit = await confirmAddToGit(args, promptMessage);
 
       if (shouldAddToGit) {
         addFilesToGit(rootDir, createdFiles);
@@ -405,61 +483,90 @@ async function main() {
   let selectedProject = null;
 
   // Secondary menu for selecting specific project
-  if (categoryIndex >= 2) { // Not Shared module or Empty Node.js
-    let projectOptions = [];
-
-    switch (categoryIndex) {
-      case 2: // Frontend
-        projectOptions = ['React', 'Next.js', 'Angular', 'Vue.js', 'Svelte'];
-        break;
-      case 3: // Backend
-        projectOptions = ['Express.js', 'NestJS', 'Fastify', 'AdonisJS', 'FeathersJS'];
-        break;
-      case 4: // Mobile
-        projectOptions = ['React Native', 'Expo', 'NativeScript', 'Ionic', 'Capacitor.js'];
-        break;
-      case 5: // Desktop
-        projectOptions = ['Electron', 'Tauri', 'Neutralino.js', 'Proton Native', 'Sciter'];
-        break;
-    }
-
-    // Add a blank line for visual separation before the second menu
-    console.log('');
-    const projectIndex = await createInteractiveMenu(`Select ${selectedCategory.split(':')[0]} project:`, projectOptions);
-    selectedProject = projectOptions[projectIndex];
+  if (!args.interactive) {
+    selectedProject = findTemplate(templates, args.type).displayName;
   } else {
-    selectedProject = selectedCategory;
+    const group = templateGroups[categoryIndex - 1];
+    let template = group.templates[0];
+    if (group.templates.length > 1) {
+      // Add a blank line for visual separation before the second menu
+      console.log('');
+      const projectOptions = group.templates.map(template => template.displayName);
+      const projectIndex = await createInteractiveMenu(`Select ${group.category} project:`, projectOptions);
+      template = group.templates[projectIndex];
+    }
+    selectedProject = template.displayName;
   }
 
   // Output the final selection
   console.log('');
   console.log(chalk.green('✅ Selected project type:'), chalk.bold(`${selectedProject}`));
 
+  // With several workspace groups the project goes to the one the user picks
+  let selectedGroup = presetGroup;
+  if (!selectedGroup && args.interactive && groups.length > 1) {
+    console.log('');
+    const groupLabels = groups.map(group => (group.name === group.dir ? group.name : `${group.name} (${group.dir})`));
+    const groupIndex = await createInteractiveMenu('Select the project group:', groupLabels);
+    selectedGroup = groups[groupIndex];
+    console.log('');
+    console.log(chalk.green('✅ Selected project group:'), chalk.bold(selectedGroup.name));
+  }
+
+  // With several shared libraries the user picks the ones the project links
+  let selectedShared = args.shared;
+  if (selectedShared === undefined && args.interactive && libraryNames.length > 1) {
+    selectedShared = await askSharedLibraries(config, libraryNames);
+  }
+
   // Create the new project, passing rootDir and selectedProject
-  const projectDir = await createNewProject(rootDir, selectedProject);
+  const projectDir = await createNewProject(rootDir, selectedProject, args.name, {
+    group: selectedGroup?.dir,
+    shared: selectedShared,
+    dryRun: args.dryRun,
+    variables: args.variables,
+    offline: args.offline
+  });
+  if (!projectDir) {
+    exit(1);
+  }
+
+  // Nothing was written, so there is nothing to install or add to Git
+  if (args.dryRun) {
+    return;
+  }
 
-  // Run npm install in the project directory
-  if (projectDir) {
+  // Install the dependencies in the project directory
+  if (args.install) {
+    const manager = getPackageManager(rootDir);
     console.log('');
-    console.log(chalk.blue(`Installing dependencies with npm...`));
+    console.log(chalk.blue(`Installing dependencies with ${manager.name}...`));
+    if (args.offline && !manager.offlineInstall) {
+      console.warn(chalk.yellow(`${manager.name} has no offline install, the packages missing in its cache are downloaded`));
+    }
     try {
-      execSync('npm install', {
+      // Offline installs can only use the packages of the package manager's cache
+      execSync(args.offline && manager.offlineInstall || manager.install, {
         cwd: projectDir,
         stdio: 'inherit' // Show output in the console
       });
       console.log(chalk.green('✅ Dependencies installed successfully'));
     } catch (error) {
       console.error(chalk.red(`Error installing dependencies: ${error.message}`));
+      // The project is kept, but scripted callers have to see that it isn't ready
+      if (!args.interactive) {
+        process.exitCode = 1;
+      }
     }
+  }
 
-    // Check if the project directory is under Git control
-    if (isGitRepository(rootDir)) {
-      console.log('');
-      const shouldAddToGit = await askYesNo(`Would you like to add the directory "${projectDir}" to Git?`);
+  // Check if the project directory is under Git control
+  if (isGitRepository(rootDir)) {
+    console.log('');
+    const shouldAddToGit = await confirmAddToGit(args, `Would you like to add the directory "${projectDir}" to Git?`);
 
-      if (shouldAddToGit) {
-        addFilesToGit(rootDir, [projectDir]);
-      }
+    if (shouldAddToGit) {
+      addFilesToGit(rootDir, [projectDir]);
     }
   }
 }
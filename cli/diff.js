@@ -0,0 +1,141 @@
+/**
+ * Minimal line-based unified diff, used to preview file changes without extra dependencies
+ */
+
+/**
+ * Number of unchanged lines shown around each change
+ */
+const contextLines = 3;
+
+/**
+ * Above this number of compared line pairs the diff falls back to replacing the whole file
+ */
+const maxComparisons = 4000000;
+
+/**
+ * Splits text into lines, ignoring the final line break
+ * @param {string|null} text - Text to split, null means the file does not exist
+ * @returns {string[]} Lines of the text
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Computes the edit script between two line arrays using the longest common subsequence
+ * @param {string[]} oldLines - Original lines
+ * @param {string[]} newLines - Updated lines
+ * @returns {{type: string, line: string}[]} Operations: ' ' unchanged, '-' removed, '+' added
+ */
+function computeOperations(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > maxComparisons) {
+    return [
+      ...oldLines.map(line => ({ type: '-', line })),
+      ...newLines.map(line => ({ type: '+', line }))
+    ];
+  }
+
+  // lcs[i][j] is the LCS length of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      operations.push({ type: '-', line: oldLines[i++] });
+    } else {
+      operations.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) {
+    operations.push({ type: '-', line: oldLines[i++] });
+  }
+  while (j < m) {
+    operations.push({ type: '+', line: newLines[j++] });
+  }
+
+  return operations;
+}
+
+/**
+ * Creates a unified diff between two versions of a file
+ * @param {string} oldLabel - Label of the original file, e.g. "a/package.json" or "/dev/null"
+ * @param {string} newLabel - Label of the updated file
+ * @param {string|null} oldText - Original content, null if the file does not exist
+ * @param {string|null} newText - Updated content, null if the file is removed
+ * @returns {string} Unified diff or empty string if the contents are equal
+ */
+function createUnifiedDiff(oldLabel, newLabel, oldText, newText) {
+  const operations = computeOperations(splitLines(oldText), splitLines(newText));
+  if (operations.every(operation => operation.type === ' ')) {
+    return '';
+  }
+
+  // Line numbers of every operation in the original and the updated file
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const operation of operations) {
+    positions.push({ oldLine, newLine });
+    if (operation.type !== '+') {
+      oldLine++;
+    }
+    if (operation.type !== '-') {
+      newLine++;
+    }
+  }
+
+  // Ranges of operations around each change, merged when they overlap or touch
+  const ranges = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - contextLines);
+    const end = Math.min(operations.length, index + contextLines + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const { start, end } of ranges) {
+    const hunkOperations = operations.slice(start, end);
+    const oldCount = hunkOperations.filter(operation => operation.type !== '+').length;
+    const newCount = hunkOperations.filter(operation => operation.type !== '-').length;
+    const { oldLine: oldStart, newLine: newStart } = positions[start];
+
+    // An empty side of a hunk refers to the line before it
+    lines.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    hunkOperations.forEach(operation => lines.push(`${operation.type}${operation.line}`));
+  }
+
+  return lines.join('\n');
+}
+
+export { createUnifiedDiff };
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * This script checks every workspace project against the invariants it got when it was created
+ * and prints a report. With --fix it repairs the problems that can be repaired safely by
+ * reapplying the helpers of create-new.
+ *
+ * Usage: npm run doctor -- [<project>...] [--fix]
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { readJsonFile, getProjects } from './workspace.js';
+import { readMonorepoConfig } from './monorepo-config.js';
+import { getPackageManager } from './package-managers.js';
+import { ScaffoldContext } from './scaffold-context.js';
+import { checkProject } from './project-doctor.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run doctor -- [<project>...] [--fix]
+
+Checks every project for the shared symlink (or copy) in src, a tsconfig.json that extends the root one
+with outDir and rootDir, the scripts of monorepo.config.json, the <script>:<project> scripts of
+the root package.json and the .vscode configs.
+
+Options:
+  <project>   Check only these projects, default: all projects
+  --fix       Repair the problems that can be repaired safely
+  -h, --help  Show this help
+
+Exit codes: 0 - no problems, 1 - problems remain, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, projects: string[], fix: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'fix': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  return {
+    help: Boolean(values['help']),
+    projects: positionals,
+    fix: Boolean(values['fix'])
+  };
+}
+
+/**
+ * Checks the selected projects
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string[]} projectNames - Names of the projects to check, all projects when empty
+ * @returns {{project: object, checks: object[]}[]} Checks of every project, see checkProject
+ */
+function checkProjects(rootDir, projectNames) {
+  const config = readMonorepoConfig(rootDir);
+  const manager = getPackageManager(rootDir);
+  const rootPackageJson = readJsonFile(path.join(rootDir, 'package.json'));
+  return getProjects(rootDir)
+    .filter(project => projectNames.length === 0 || projectNames.includes(project.name))
+    .map(project => ({ project, checks: checkProject(rootDir, project, config, manager, rootPackageJson) }));
+}
+
+/**
+ * Main function of the doctor command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const projectNames = getProjects(rootDir).map(project => project.name);
+  for (const name of args.projects) {
+    if (!projectNames.includes(name)) {
+      exitWithUsageError(`Project "${name}" not found, available: ${projectNames.join(', ')}`);
+    }
+  }
+
+  let reports = checkProjects(rootDir, args.projects);
+  const fixable = reports.flatMap(({ project, checks }) => checks.filter(check => check.fix).map(check => ({ project, check })));
+
+  if (args.fix && fixable.length > 0) {
+    const logger = {
+      log: (...messages) => console.log(chalk.gray(`    ${messages.join(' ')}`)),
+      warn: (...messages) => console.warn(chalk.yellow(`    ${messages.join(' ')}`)),
+      error: (...messages) => console.error(chalk.red(`    ${messages.join(' ')}`))
+    };
+    const ctx = new ScaffoldContext({ logger });
+    try {
+      for (const { project, check } of fixable) {
+        console.log(chalk.blue(`🔧 ${project.name}: fixing ${check.name}`));
+        await check.fix(ctx);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Fixing failed: ${error.message}`));
+      ctx.rollback();
+      exit(1);
+    }
+
+    const { created, modified } = ctx.getManifest(rootDir);
+    created.filter(file => !modified.includes(file)).forEach(file => console.log(chalk.green(`  created  ${file}`)));
+    modified.forEach(file => console.log(chalk.green(`  modified ${file}`)));
+    console.log('');
+    reports = checkProjects(rootDir, args.projects);
+  }
+
+  let problemCount = 0;
+  let fixableCount = 0;
+  for (const { project, checks } of reports) {
+    console.log(chalk.bold(`${project.name} ${chalk.gray(path.relative(rootDir, project.dir).replace(/\\/g, '/'))}`));
+    for (const { name, problems, fix } of checks) {
+      if (problems.length === 0) {
+        console.log(`  ${chalk.green('✔')} ${name}`);
+        continue;
+      }
+      problemCount++;
+      fixableCount += fix ? 1 : 0;
+      console.log(`  ${chalk.red('✖')} ${name}${fix ? chalk.gray(' (fixable)') : ''}`);
+      problems.forEach(problem => console.log(`      ${problem}`));
+    }
+  }
+
+  console.log('');
+  if (problemCount === 0) {
+    console.log(chalk.green(`✅ ${reports.length} project(s) checked, no problems found`));
+    return;
+  }
+  console.log(chalk.red(`❌ ${problemCount} problem(s) in ${reports.length} project(s)`));
+  if (fixableCount > 0 && !args.fix) {
+    console.log(chalk.yellow(`${fixableCount} of them can be fixed with "npm run doctor -- --fix"`));
+  }
+  exit(1);
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
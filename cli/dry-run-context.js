@@ -0,0 +1,255 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execSync } from 'child_process';
+import { ScaffoldContext } from './scaffold-context.js';
+import { createUnifiedDiff } from './diff.js';
+
+/**
+ * Scaffolding context that keeps every change in memory instead of writing it to disk.
+ * Reads see the pending changes on top of the real filesystem, so the pipeline runs
+ * exactly as it would for real, and the result can be rendered as a preview.
+ */
+class DryRunContext extends ScaffoldContext {
+  /**
+   * @param {object} [options] - Options of ScaffoldContext
+   */
+  constructor(options = {}) {
+    super(options);
+
+    // Pending entries: { type: 'file' | 'dir' | 'symlink' | 'deleted', content, target, generated }
+    this.entries = new Map();
+
+    // Content of each touched file before its first change, null if it didn't exist
+    this.baselines = new Map();
+
+    // External commands, generators are run in a staging directory, the rest is skipped
+    this.commands = [];
+  }
+
+  log(...args) {
+    super.log('[dry run]', ...args);
+  }
+
+  exists(filePath) {
+    const entry = this.entries.get(path.resolve(filePath));
+    if (entry) {
+      return entry.type !== 'deleted';
+    }
+    return fs.existsSync(filePath);
+  }
+
+  readFile(filePath) {
+    const entry = this.entries.get(path.resolve(filePath));
+    if (entry?.type === 'file') {
+      return entry.content;
+    }
+    if (entry) {
+      throw new Error(`ENOENT: no such file, open '${filePath}'`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+  }
+
+  writeFile(filePath, content, generated = false) {
+    const absPath = path.resolve(filePath);
+    const existed = this.exists(absPath);
+
+    if (!this.baselines.has(absPath)) {
+      this.baselines.set(absPath, existed && !this.entries.has(absPath) ? fs.readFileSync(absPath, 'utf8') : null);
+    }
+
+    const previous = this.entries.get(absPath);
+    this.entries.set(absPath, {
+      type: 'file',
+      content: String(content),
+      generated: generated || Boolean(previous?.generated),
+      firstContent: previous?.type === 'file' ? previous.firstContent : String(content)
+    });
+    this.record(existed ? 'modify' : 'create', absPath);
+  }
+
+  mkdir(dirPath) {
+    const missingDirs = [];
+    for (let dir = path.resolve(dirPath); !this.exists(dir); dir = path.dirname(dir)) {
+      missingDirs.unshift(dir);
+    }
+
+    missingDirs.forEach(dir => {
+      this.entries.set(dir, { type: 'dir' });
+      this.record('mkdir', dir);
+    });
+  }
+
+  symlink(target, linkPath) {
+    this.entries.set(path.resolve(linkPath), { type: 'symlink', target });
+    this.record('symlink', linkPath);
+  }
+
+  unlink(filePath) {
+    this.entries.set(path.resolve(filePath), { type: 'deleted' });
+    this.record('delete', filePath);
+  }
+
+  /**
+   * Nothing was written to disk, so undoing only drops the pending changes
+   * @returns {Error[]} Always an empty list
+   */
+  rollback() {
+    this.entries.clear();
+    this.baselines.clear();
+    this.changes = [];
+    return [];
+  }
+
+  /**
+   * Framework generators (commands with an output directory) are run in a temporary
+   * staging directory, and their output is loaded into memory. The absolute output
+   * directory in the command is replaced by the staging one, and a generator that
+   * takes the directory name from its parent working directory runs in the staging
+   * root instead. Any other command is only recorded, because it would modify the
+   * real project.
+   * @throws {Error} If the generator still wrote to the real output directory, which is removed again
+   */
+  exec(command, { cwd = undefined, outputDir = undefined } = {}) {
+    if (!outputDir) {
+      this.commands.push({ command, cwd, executed: false });
+      return;
+    }
+
+    const targetDir = path.resolve(outputDir);
+    const stagingRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'monorepo-dry-run-'));
+    const stagingDir = path.join(stagingRoot, path.basename(targetDir));
+    const stagingCwd = cwd && path.resolve(cwd) === path.dirname(targetDir) ? stagingRoot : cwd;
+    const targetExisted = fs.existsSync(targetDir);
+    this.commands.push({ command, cwd, executed: true });
+
+    try {
+      fs.mkdirSync(stagingDir);
+      execSync(command.split(targetDir).join(stagingDir), { cwd: stagingCwd, stdio: this.stdio });
+
+      // A dry run never leaves anything in the projects directory
+      if (!targetExisted && fs.existsSync(targetDir)) {
+        fs.rmSync(targetDir, { recursive: true, force: true });
+        throw new Error(`The generator wrote to ${targetDir} instead of the staging directory`);
+      }
+      this.loadStagedFiles(stagingDir, targetDir);
+    } finally {
+      fs.rmSync(stagingRoot, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Copies the output of a staged generator into the pending entries
+   * @param {string} stagingDir - Directory the generator wrote to
+   * @param {string} targetDir - Directory the files are meant for
+   */
+  loadStagedFiles(stagingDir, targetDir) {
+    for (const dirent of fs.readdirSync(stagingDir, { withFileTypes: true })) {
+      const stagedPath = path.join(stagingDir, dirent.name);
+      const targetPath = path.join(targetDir, dirent.name);
+      if (dirent.name === 'node_modules' || dirent.name === '.git') {
+        continue;
+      }
+      if (dirent.isDirectory()) {
+        this.mkdir(targetPath);
+        this.loadStagedFiles(stagedPath, targetPath);
+      } else if (dirent.isSymbolicLink()) {
+        this.symlink(fs.readlinkSync(stagedPath), targetPath);
+      } else {
+        this.writeFile(targetPath, fs.readFileSync(stagedPath, 'utf8'), true);
+      }
+    }
+  }
+
+  /**
+   * Renders the pending changes as a file tree followed by unified diffs
+   * @param {string} rootDir - Root directory of the monorepo
+   * @returns {string} Preview text
+   */
+  renderPreview(rootDir) {
+    const relative = (filePath) => path.relative(rootDir, filePath).replace(/\\/g, '/');
+    const lines = [];
+
+    // External commands
+    if (this.commands.length > 0) {
+      lines.push('Commands:');
+      for (const { command, cwd, executed } of this.commands) {
+        const location = cwd ? ` (in ${relative(path.resolve(cwd)) || '.'})` : '';
+        lines.push(`  $ ${command}${location}${executed ? ' [run in a staging directory]' : ' [not run]'}`);
+      }
+      lines.push('');
+    }
+
+    // File tree of every touched entry
+    const tree = {};
+    for (const [absPath, entry] of [...this.entries].sort(([a], [b]) => a.localeCompare(b))) {
+      const parts = relative(absPath).split('/');
+      let node = tree;
+      parts.slice(0, -1).forEach(part => {
+        node[part] = node[part] || { children: {} };
+        node = node[part].children;
+      });
+      const name = parts[parts.length - 1];
+      node[name] = { ...node[name], children: node[name]?.children || {}, entry, absPath };
+    }
+
+    const describe = (node) => {
+      const { entry, absPath } = node;
+      if (!entry) {
+        return '';
+      }
+      switch (entry.type) {
+        case 'symlink':
+          return ` -> ${entry.target} (new symlink)`;
+        case 'deleted':
+          return ' (deleted)';
+        case 'dir':
+          return ' (new)';
+        default:
+          return this.baselines.get(absPath) === null ? (entry.generated ? ' (new, generated)' : ' (new)') : ' (modified)';
+      }
+    };
+
+    const renderNode = (children, prefix) => {
+      const names = Object.keys(children).sort();
+      names.forEach((name, index) => {
+        const node = children[name];
+        const last = index === names.length - 1;
+        const isDir = Object.keys(node.children).length > 0 || node.entry?.type === 'dir';
+        lines.push(`${prefix}${last ? '└── ' : '├── '}${name}${isDir ? '/' : ''}${describe(node)}`);
+        renderNode(node.children, prefix + (last ? '    ' : '│   '));
+      });
+    };
+
+    lines.push('Files:');
+    renderNode(tree, '  ');
+
+    // Diffs: existing files against the disk, generator output against what the generator
+    // produced (so only the monorepo merges are shown), files written by the CLI in full
+    const diffs = [];
+    for (const [absPath, entry] of [...this.entries].sort(([a], [b]) => a.localeCompare(b))) {
+      if (entry.type !== 'file' || entry.content.includes('\0')) {
+        continue;
+      }
+      const relPath = relative(absPath);
+      const baseline = this.baselines.get(absPath);
+
+      if (baseline !== null) {
+        diffs.push(createUnifiedDiff(`a/${relPath}`, `b/${relPath}`, baseline, entry.content));
+      } else if (entry.generated) {
+        diffs.push(createUnifiedDiff(`a/${relPath} (as generated)`, `b/${relPath}`, entry.firstContent, entry.content));
+      } else {
+        diffs.push(createUnifiedDiff('/dev/null', `b/${relPath}`, null, entry.content));
+      }
+    }
+
+    const nonEmptyDiffs = diffs.filter(Boolean);
+    if (nonEmptyDiffs.length > 0) {
+      lines.push('', 'Diffs:', ...nonEmptyDiffs.flatMap(diff => [diff, '']));
+    }
+
+    return lines.join('\n').trimEnd();
+  }
+}
+
+export { DryRunContext };
@@ -0,0 +1,205 @@
+/**
+ * Error types thrown by the scaffolding API.
+ * Every error carries a stable machine-readable `code` so that tools embedding
+ * the API can react to specific failures without parsing messages.
+ */
+
+/**
+ * Base class for all scaffolding errors
+ */
+class ScaffoldError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string} code - Machine readable error code
+   * @param {object} [options] - Standard error options, e.g. { cause }
+   */
+  constructor(message, code = 'SCAFFOLD_FAILED', options = undefined) {
+    super(message, options);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when the requested project type is not supported
+ */
+class InvalidProjectTypeError extends ScaffoldError {
+  /**
+   * @param {string} projectType - Requested project type
+   * @param {string[]} validTypes - Supported project types
+   */
+  constructor(projectType, validTypes) {
+    super(`Invalid project type: ${projectType}. Valid project types: ${validTypes.join(', ')}`, 'INVALID_PROJECT_TYPE');
+    this.projectType = projectType;
+    this.validTypes = validTypes;
+  }
+}
+
+/**
+ * Thrown when the requested project group is not one of the workspace groups
+ */
+class InvalidProjectGroupError extends ScaffoldError {
+  /**
+   * @param {string} group - Requested project group
+   * @param {string[]} validGroups - Groups of the workspace globs
+   */
+  constructor(group, validGroups) {
+    super(`Invalid project group: ${group}. Valid project groups: ${validGroups.join(', ')}`, 'INVALID_PROJECT_GROUP');
+    this.group = group;
+    this.validGroups = validGroups;
+  }
+}
+
+/**
+ * Thrown when a project selects a shared library that is not one of the configured ones
+ */
+class InvalidSharedLibraryError extends ScaffoldError {
+  /**
+   * @param {string} library - Requested library name
+   * @param {string[]} validLibraries - Names of the sharedLibraries setting
+   */
+  constructor(library, validLibraries) {
+    super(validLibraries.length > 0
+      ? `Invalid shared library: ${library}. Valid shared libraries: ${validLibraries.join(', ')}`
+      : `Invalid shared library: ${library}. The monorepo has no "sharedLibraries" setting`, 'INVALID_SHARED_LIBRARY');
+    this.library = library;
+    this.validLibraries = validLibraries;
+  }
+}
+
+/**
+ * Thrown when a project name violates the naming rules
+ */
+class InvalidProjectNameError extends ScaffoldError {
+  /**
+   * @param {string} projectName - Rejected project name
+   * @param {string} reason - Description of the violated rule
+   */
+  constructor(projectName, reason) {
+    super(reason, 'INVALID_PROJECT_NAME');
+    this.projectName = projectName;
+  }
+}
+
+/**
+ * Thrown when the target project directory already exists
+ */
+class ProjectExistsError extends ScaffoldError {
+  /**
+   * @param {string} projectDir - Existing project directory
+   */
+  constructor(projectDir) {
+    super(`Directory already exists: ${projectDir}`, 'PROJECT_EXISTS');
+    this.projectDir = projectDir;
+  }
+}
+
+/**
+ * Thrown when a framework generator or a later scaffolding step fails
+ */
+class GeneratorError extends ScaffoldError {
+  /**
+   * @param {string} projectType - Project type being created
+   * @param {Error} cause - Original error
+   */
+  constructor(projectType, cause) {
+    super(`Error creating ${projectType} project: ${cause.message}`, 'GENERATOR_FAILED', { cause });
+    this.projectType = projectType;
+  }
+}
+
+/**
+ * Thrown when a shared module would re-export names that its barrels already export
+ */
+class ExportConflictError extends ScaffoldError {
+  /**
+   * @param {string} importPath - Import path of the module in its barrel
+   * @param {{indexPath: string, name: string, sources: string[]}[]} conflicts - Conflicting names with the
+   *   barrels and the entries that already export them
+   * @param {string|null} [style] - Re-export style that was chosen but cannot resolve the conflicts
+   */
+  constructor(importPath, conflicts, style = null) {
+    const details = conflicts.map(({ indexPath, name, sources }) => `"${name}" in ${indexPath} (from ${sources.join(', ')})`);
+    super(style === 'named'
+      ? `'${importPath}' cannot be re-exported by name, all of its names are already exported: ${details.join('; ')}`
+      : `'${importPath}' exports names that are already exported: ${details.join('; ')}`, 'EXPORT_CONFLICT');
+    this.importPath = importPath;
+    this.conflicts = conflicts;
+    this.style = style;
+  }
+}
+
+/**
+ * Thrown when a template module does not declare a valid template
+ */
+class InvalidTemplateError extends ScaffoldError {
+  /**
+   * @param {string} source - Path of the template module
+   * @param {string} reason - Description of the problem
+   */
+  constructor(source, reason) {
+    super(`Invalid template ${source}: ${reason}`, 'INVALID_TEMPLATE');
+    this.source = source;
+  }
+}
+
+/**
+ * Thrown when workspace projects depend on each other in a cycle and cannot be ordered
+ */
+class DependencyCycleError extends ScaffoldError {
+  /**
+   * @param {string[]} cycle - Package names of the cycle, the first one repeated at the end
+   */
+  constructor(cycle) {
+    super(`Workspace projects depend on each other in a cycle: ${cycle.join(' -> ')}`, 'DEPENDENCY_CYCLE');
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Thrown when monorepo.config.json cannot be parsed or has invalid values
+ */
+class InvalidConfigError extends ScaffoldError {
+  /**
+   * @param {string} configPath - Path of the configuration file
+   * @param {string} reason - Description of the problem
+   */
+  constructor(configPath, reason) {
+    super(`Invalid ${configPath}: ${reason}`, 'INVALID_CONFIG');
+    this.configPath = configPath;
+  }
+}
+
+/**
+ * Thrown when a copy of the shared directory would be overwritten although it was edited in the project,
+ * or when the directory in its place was not copied by the CLI at all
+ */
+class SharedCopyEditedError extends ScaffoldError {
+  /**
+   * @param {string} copyDir - Directory of the copy
+   * @param {string[]|null} editedFiles - Files that differ from the copied ones, null if the directory has no marker
+   */
+  constructor(copyDir, editedFiles) {
+    const reason = editedFiles
+      ? `it was edited locally: ${editedFiles.join(', ')}`
+      : 'it is not a copy of the shared directory';
+    super(`Refusing to overwrite ${copyDir}, ${reason}`, 'SHARED_COPY_EDITED');
+    this.copyDir = copyDir;
+    this.editedFiles = editedFiles;
+  }
+}
+
+export {
+  ScaffoldError,
+  InvalidProjectTypeError,
+  InvalidProjectGroupError,
+  InvalidSharedLibraryError,
+  InvalidProjectNameError,
+  ProjectExistsError,
+  GeneratorError,
+  ExportConflictError,
+  InvalidTemplateError,
+  DependencyCycleError,
+  InvalidConfigError,
+  SharedCopyEditedError
+};
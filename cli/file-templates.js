@@ -0,0 +1,228 @@
+/**
+ * File-based project templates: a directory with a template.json manifest whose files are
+ * rendered into the new project. File contents and file names may contain placeholders
+ * such as {{projectName}} and conditional blocks:
+ *
+ *   {{#if docker}}...{{else}}...{{/if}}
+ *   {{#unless docker}}...{{/unless}}
+ *
+ * {{end}} closes any block, file names cannot contain the slash of {{/if}}. A block tag
+ * alone on its line removes the whole line, and a file or directory whose name renders
+ * to an empty string is skipped, e.g. "{{#if docker}}Dockerfile{{end}}".
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile } from './workspace.js';
+import { InvalidTemplateError } from './errors.js';
+
+/**
+ * Name of the manifest file of a file template
+ */
+const manifestFileName = 'template.json';
+
+/**
+ * Values of the placeholders that templates may use without declaring them
+ */
+const defaultVariables = {
+  port: 3000
+};
+
+/**
+ * Placeholders and block tags: {{name}}, {{#if name}}, {{#unless name}}, {{else}}, {{/if}}, {{/unless}}, {{end}}
+ */
+const tagPattern = /\{\{\s*(#if\s+|#unless\s+|else\b|end\b|\/if\b|\/unless\b)?\s*([A-Za-z_][\w]*)?\s*\}\}/g;
+
+/**
+ * Block tags that take up a whole line
+ */
+const standaloneTagPattern = /^[ \t]*(\{\{\s*(?:#if|#unless|else|end|\/if|\/unless)\b[^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Parses a template string into text, placeholder and block nodes
+ * @param {string} text - Template string
+ * @param {string} source - File the string comes from, for error messages
+ * @returns {Array<string|object>} Nodes of the template
+ */
+function parseTemplate(text, source) {
+  text = text.replace(standaloneTagPattern, '$1');
+
+  const root = { nodes: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(tagPattern)) {
+    const [tag, keyword = '', name] = match;
+    const frame = stack[stack.length - 1];
+    const directive = keyword.trim();
+    frame.nodes.push(text.slice(lastIndex, match.index));
+    lastIndex = match.index + tag.length;
+
+    if (!directive) {
+      if (!name) {
+        throw new Error(`${source}: empty placeholder ${tag}`);
+      }
+      frame.nodes.push({ variable: name });
+    } else if (directive === '#if' || directive === '#unless') {
+      if (!name) {
+        throw new Error(`${source}: ${tag} needs a variable name`);
+      }
+      const block = { condition: name, negate: directive === '#unless', closing: `/${directive.slice(1)}`, then: [], otherwise: [] };
+      frame.nodes.push(block);
+      stack.push({ block, nodes: block.then });
+    } else if (directive === 'else') {
+      if (!frame.block || frame.nodes === frame.block.otherwise || name) {
+        throw new Error(`${source}: unexpected ${tag}`);
+      }
+      frame.nodes = frame.block.otherwise;
+    } else {
+      if (!frame.block || ![frame.block.closing, 'end'].includes(directive) || name) {
+        throw new Error(`${source}: unexpected ${tag}`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`${source}: {{#${stack[stack.length - 1].block.closing.slice(1)} ${stack[stack.length - 1].block.condition}}} is not closed`);
+  }
+  root.nodes.push(text.slice(lastIndex));
+  return root.nodes;
+}
+
+/**
+ * Decides whether a variable enables a conditional block; values passed on the command line
+ * are strings, so "false" and "0" disable it as well
+ * @param {*} value - Variable value
+ * @returns {boolean} True if the block is rendered
+ */
+function isEnabled(value) {
+  return ![undefined, null, false, 0, '', 'false', '0'].includes(value);
+}
+
+/**
+ * Renders parsed template nodes
+ * @param {Array<string|object>} nodes - Nodes from parseTemplate
+ * @param {object} variables - Placeholder values
+ * @param {string} source - File the nodes come from, for error messages
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, variables, source) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node;
+    }
+
+    const name = node.variable ?? node.condition;
+    if (!Object.hasOwn(variables, name)) {
+      throw new Error(`${source}: unknown variable "${name}", declare it in the "variables" of ${manifestFileName}`);
+    }
+
+    if (node.variable) {
+      return String(variables[name]);
+    }
+    const enabled = isEnabled(variables[name]) !== node.negate;
+    return renderNodes(enabled ? node.then : node.otherwise, variables, source);
+  }).join('');
+}
+
+/**
+ * Substitutes the placeholders and conditional blocks of a template string
+ * @param {string} text - Template string
+ * @param {object} variables - Placeholder values
+ * @param {string} [source] - File the string comes from, for error messages
+ * @returns {string} Rendered text
+ */
+function renderTemplateString(text, variables, source = 'template') {
+  return renderNodes(parseTemplate(text, source), variables, source);
+}
+
+/**
+ * Lists the files of a template directory, without the manifest
+ * @param {string} templateDir - Template directory
+ * @returns {string[]} File paths relative to the template directory, with forward slashes
+ */
+function listTemplateFiles(templateDir) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else if (entry.isFile() && entryPath !== path.join(templateDir, manifestFileName)) {
+        files.push(path.relative(templateDir, entryPath).replace(/\\/g, '/'));
+      }
+    }
+  };
+  walk(templateDir);
+  return files.sort();
+}
+
+/**
+ * Renders the files of a template directory into the project directory
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} templateDir - Template directory
+ * @param {string} projectDir - Project directory
+ * @param {object} variables - Placeholder values
+ */
+function renderTemplateFiles(ctx, templateDir, projectDir, variables) {
+  for (const file of listTemplateFiles(templateDir)) {
+    const segments = file.split('/').map(segment => renderTemplateString(segment, variables, file));
+    if (segments.some(segment => !segment.trim())) {
+      continue;
+    }
+
+    const sourcePath = path.join(templateDir, file);
+    const targetPath = path.join(projectDir, ...segments);
+    const content = fs.readFileSync(sourcePath);
+
+    // Binary files such as images are copied as they are
+    const rendered = content.includes(0) ? content : renderTemplateString(content.toString('utf8'), variables, file);
+
+    const targetDir = path.dirname(targetPath);
+    if (!ctx.exists(targetDir)) {
+      ctx.mkdir(targetDir);
+    }
+    ctx.writeFile(targetPath, rendered);
+  }
+}
+
+/**
+ * Loads a file template from a directory with a template.json manifest
+ * @param {string} templateDir - Template directory
+ * @returns {object|null} Template for the registry or null if the directory has no manifest
+ * @throws {InvalidTemplateError} If the manifest cannot be parsed
+ */
+function loadFileTemplate(templateDir) {
+  const manifestPath = path.join(templateDir, manifestFileName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = readJsonFile(manifestPath);
+  } catch (error) {
+    throw new InvalidTemplateError(manifestPath, error.message);
+  }
+
+  const { variables = {}, ...template } = manifest ?? {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new InvalidTemplateError(manifestPath, 'variables must map variable names to default values');
+  }
+
+  return {
+    ...template,
+    create: async (ctx, { projectDir, projectName, packageName, variables: overrides = {} }) => {
+      renderTemplateFiles(ctx, templateDir, projectDir, {
+        ...defaultVariables,
+        ...variables,
+        ...overrides,
+        projectName,
+        packageName
+      });
+    }
+  };
+}
+
+export { manifestFileName, renderTemplateString, loadFileTemplate };
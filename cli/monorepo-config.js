@@ -0,0 +1,297 @@
+/**
+ * Monorepo configuration stored in monorepo.config.json at the root of the monorepo.
+ * Every setting is optional, missing ones fall back to the defaults below.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { InvalidConfigError } from './errors.js';
+
+/**
+ * Name of the configuration file
+ */
+const configFileName = 'monorepo.config.json';
+
+/**
+ * JSON schema the configuration file is validated against
+ */
+const schemaPath = fileURLToPath(new URL('./monorepo.config.schema.json', import.meta.url));
+
+/**
+ * Settings used when the configuration file doesn't set them
+ */
+const defaultConfig = {
+  scope: '@monorepo',
+  projectsDir: 'projects',
+  sharedDir: 'shared',
+  sharedSymlink: '@shared',
+  sharedMode: 'symlink',
+  scripts: {
+    clean: 'rimraf ./dist',
+    lint: 'eslint ./src',
+    test: 'jest --passWithNoTests --config={{rootDir}}/jest.config.js',
+    build: 'tsc -b',
+    start: 'node ./dist/index.js',
+    dev: 'tsc -b && node ./dist/index.js'
+  },
+  cache: {
+    scripts: ['build', 'lint', 'test'],
+    outputs: { build: ['dist'] },
+    maxSize: 512
+  }
+};
+
+/**
+ * Checks an npm scope, e.g. "@acme"
+ * @param {string} scope - Scope to check
+ * @returns {string} Error message or empty string if the scope is valid
+ */
+function validateScope(scope) {
+  if (typeof scope !== 'string' || !/^@[a-z0-9-~][a-z0-9-._~]*$/.test(scope)) {
+    return `Invalid npm scope "${scope}": it must start with "@" followed by lowercase letters, numbers, "-", ".", "_" or "~"`;
+  }
+  return '';
+}
+
+/**
+ * Adds the "@" an npm scope starts with if it was omitted
+ * @param {string} scope - Scope with or without "@", e.g. "acme"
+ * @returns {string} Scope starting with "@"
+ */
+function normalizeScope(scope) {
+  return scope.startsWith('@') ? scope : `@${scope}`;
+}
+
+/**
+ * Returns the JSON type of a value the way the schema names it
+ * @param {*} value - Value
+ * @returns {string} "object", "array", "null", "string", "number" or "boolean"
+ */
+function getSchemaType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON schema used by monorepo.config.schema.json:
+ * type, enum, pattern, minLength, minimum, properties, additionalProperties, required, items and minItems
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema of the value
+ * @param {string} location - Location of the value for error messages, e.g. "scripts.build"
+ * @returns {string} Error message or empty string if the value is valid
+ */
+function validateSchema(value, schema, location) {
+  const type = getSchemaType(value);
+  const name = location || 'the configuration';
+  if (schema.type && schema.type !== type && !(schema.type === 'integer' && Number.isInteger(value))) {
+    return `${name} must be of type ${schema.type}, got ${type}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${name} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`;
+  }
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${name} must not be empty`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${name} "${value}" doesn't match the pattern ${schema.pattern}`;
+    }
+  }
+  if (type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    return `${name} must be at least ${schema.minimum}`;
+  }
+  if (type === 'array' && schema.minItems !== undefined && value.length < schema.minItems) {
+    return `${name} must have at least ${schema.minItems} item(s)`;
+  }
+  if (type === 'array' && schema.items) {
+    for (const [index, item] of value.entries()) {
+      const error = validateSchema(item, schema.items, `${name}[${index}]`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+  if (type === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(value, key)) {
+        return `${location ? `${location}.` : ''}${key} is required`;
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemLocation = location ? `${location}.${key}` : key;
+      const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (itemSchema === false) {
+        return `unknown setting ${itemLocation}`;
+      }
+      const error = itemSchema && itemSchema !== true ? validateSchema(item, itemSchema, itemLocation) : '';
+      if (error) {
+        return error;
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * Checks if the configuration file sets a setting, as opposed to using its default
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} name - Setting name
+ * @returns {boolean} True if monorepo.config.json exists and contains the setting
+ */
+function hasMonorepoSetting(rootDir, name) {
+  const configPath = path.join(rootDir, configFileName);
+  return fs.existsSync(configPath) && Object.hasOwn(JSON.parse(fs.readFileSync(configPath, 'utf8')), name);
+}
+
+/**
+ * Reads the monorepo configuration
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {{scope: string, projectsDir: string, workspaces: string[], sharedDir: string, sharedSymlink: string,
+ *   sharedLibraries?: string[], sharedMode: string, packageManager?: string, scripts: Object<string, string>, cache: {scripts: string[], outputs: Object<string, string[]>, maxSize: number}}}
+ *   Configuration with the defaults applied, the scripts and the cache settings of the file replace the
+ *   default ones of the same name; the workspaces default to "<projectsDir>/*"; without packageManager
+ *   the package manager is detected, see getPackageManager
+ * @throws {InvalidConfigError} If the file cannot be parsed or doesn't match the schema
+ */
+function readMonorepoConfig(rootDir) {
+  const configPath = path.join(rootDir, configFileName);
+  if (!fs.existsSync(configPath)) {
+    return {
+      ...defaultConfig,
+      workspaces: [`${defaultConfig.projectsDir}/*`],
+      scripts: { ...defaultConfig.scripts },
+      cache: { ...defaultConfig.cache }
+    };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new InvalidConfigError(configPath, error.message);
+  }
+
+  // The scope has its own message, it is the setting people type by hand most often
+  const schemaError = getSchemaType(config?.scope) === 'string' && validateScope(config.scope) ||
+    validateSchema(config, JSON.parse(fs.readFileSync(schemaPath, 'utf8')), '');
+  if (schemaError) {
+    throw new InvalidConfigError(configPath, schemaError);
+  }
+
+  const { $schema, ...settings } = config;
+  const merged = {
+    ...defaultConfig,
+    ...settings,
+    scripts: { ...defaultConfig.scripts, ...settings.scripts },
+    cache: { ...defaultConfig.cache, ...settings.cache }
+  };
+  merged.workspaces ??= [`${merged.projectsDir}/*`];
+
+  // Setup, the symlinks and the root scripts only know the projects inside the projects directory
+  const outsideGlob = merged.workspaces.find(glob => !glob.startsWith(`${merged.projectsDir}/`));
+  if (outsideGlob) {
+    throw new InvalidConfigError(configPath, `workspace "${outsideGlob}" is outside of projectsDir "${merged.projectsDir}"`);
+  }
+  return merged;
+}
+
+/**
+ * Lists the groups new projects can be created in: the directories of the workspace globs
+ * that end with a single "*", e.g. "projects/apps" for "projects/apps/*"
+ * @param {{projectsDir: string, workspaces: string[]}} config - Monorepo configuration from readMonorepoConfig
+ * @returns {{name: string, dir: string}[]} Groups with their names relative to projectsDir
+ *   (projectsDir itself is named after its directory, e.g. "projects") and directories relative to the root
+ */
+function getProjectGroups(config) {
+  return config.workspaces
+    .filter(glob => glob.endsWith('/*') && !glob.slice(0, -2).includes('*'))
+    .map(glob => {
+      const dir = glob.slice(0, -2);
+      return { name: path.posix.relative(config.projectsDir, dir) || dir, dir };
+    });
+}
+
+/**
+ * Finds a project group by its name or its directory
+ * @param {{name: string, dir: string}[]} groups - Groups from getProjectGroups
+ * @param {string} group - Group name ("apps") or directory ("projects/apps")
+ * @returns {{name: string, dir: string}|undefined} The group if it exists
+ */
+function findProjectGroup(groups, group) {
+  const normalized = group.replace(/\\/g, '/').replace(/\/+$/, '');
+  return groups.find(candidate => candidate.name === normalized || candidate.dir === normalized);
+}
+
+/**
+ * Lists the shared roots of the monorepo. With the sharedLibraries setting every library is a
+ * directory of sharedDir linked as "<sharedSymlink>-<name>" (shared/core as @shared-core),
+ * without it the whole shared directory is the only root, linked as sharedSymlink.
+ * @param {{sharedDir: string, sharedSymlink: string, sharedLibraries?: string[]}} config - Monorepo configuration
+ *   from readMonorepoConfig
+ * @returns {{name: string, dir: string, symlink: string}[]} Shared roots with their names ("" for the whole
+ *   shared directory), directories relative to the root and names of their symlinks in src
+ */
+function getSharedLibraries(config) {
+  if (!config.sharedLibraries) {
+    return [{ name: '', dir: config.sharedDir, symlink: config.sharedSymlink }];
+  }
+  return config.sharedLibraries.map(name => ({
+    name,
+    dir: `${config.sharedDir}/${name}`,
+    symlink: `${config.sharedSymlink}-${name}`
+  }));
+}
+
+/**
+ * Lists the shared roots a project uses: the libraries its package.json names in "monorepo.shared",
+ * e.g. { "monorepo": { "shared": ["core", "ui"] } }, or all of them when it names none
+ * @param {object} config - Monorepo configuration from readMonorepoConfig
+ * @param {object} packageJson - package.json of the project
+ * @returns {{name: string, dir: string, symlink: string}[]} Shared roots, see getSharedLibraries
+ */
+function getProjectSharedLibraries(config, packageJson) {
+  const libraries = getSharedLibraries(config);
+  const selected = packageJson?.monorepo?.shared;
+  if (!config.sharedLibraries || !Array.isArray(selected)) {
+    return libraries;
+  }
+  return libraries.filter(library => selected.includes(library.name));
+}
+
+/**
+ * Saves settings to the configuration file, keeping the settings it already has
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} settings - Settings to change
+ */
+function updateMonorepoConfig(rootDir, settings) {
+  const configPath = path.join(rootDir, configFileName);
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  fs.writeFileSync(configPath, JSON.stringify({ ...config, ...settings }, null, 2));
+}
+
+/**
+ * Builds the package name of a project
+ * @param {{scope: string}} config - Monorepo configuration from readMonorepoConfig
+ * @param {string} projectName - Project name in slug format
+ * @returns {string} Scoped package name, e.g. "@monorepo/app"
+ */
+function getPackageName(config, projectName) {
+  return `${config.scope}/${projectName}`;
+}
+
+export {
+  configFileName,
+  validateScope,
+  normalizeScope,
+  hasMonorepoSetting,
+  readMonorepoConfig,
+  updateMonorepoConfig,
+  getProjectGroups,
+  findProjectGroup,
+  getSharedLibraries,
+  getProjectSharedLibraries,
+  getPackageName
+};
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+
+/**
+ * This script moves or renames a module of the shared directory: it moves the file,
+ * rewires the index.ts barrels and rewrites the imports of the module in all projects.
+ *
+ * Usage: npm run move-shared -- <from> <to> [--library <name>] [--reexport <style>] [--git]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, isGitRepository, exitWithUsageError } from './utils.js';
+import { getProjects, replaceImportSpecifiers, listSourceFiles } from './workspace.js';
+import { readMonorepoConfig, getSharedLibraries } from './monorepo-config.js';
+import {
+  validateModuleName,
+  reexportStyles,
+  getExportedNames,
+  planBarrelUpdates,
+  applyBarrelUpdates,
+  removeFromBarrels,
+  parseSharedSpecifier
+} from './shared-modules.js';
+
+/**
+ * Extensions an import specifier of a TypeScript module may end with
+ */
+const specifierExtensionPattern = /\.[cm]?[jt]s$/;
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run move-shared -- <from> <to> [--library <name>] [--reexport <style>] [--git]
+
+Both paths are relative to the shared directory, e.g. "utils/math.ts" "math/add.ts". With several
+shared libraries, they are relative to the library the module is moved within.
+
+Options:
+  --library <name>    Shared library of the module, required when the monorepo has several
+  --reexport <style>  How to re-export the module if its names collide with a barrel at the
+                      new location: ${reexportStyles.join(', ')}; by default the move fails on conflicts
+  --git               Move the module with "git mv" so the rename is staged
+  -h, --help          Show this help
+
+Exit codes: 0 - success, 1 - move failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, from: string, to: string, library: string|undefined, reexport: string|undefined,
+ *   git: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'library': { type: 'string' },
+        'reexport': { type: 'string' },
+        'git': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (!values['help'] && positionals.length !== 2) {
+    exitWithUsageError('The current and the new module paths are required');
+  }
+
+  if (values['reexport'] !== undefined && !reexportStyles.includes(values['reexport'])) {
+    exitWithUsageError(`Invalid re-export style: ${values['reexport']}. Valid styles: ${reexportStyles.join(', ')}`);
+  }
+
+  return {
+    help: Boolean(values['help']),
+    from: positionals[0],
+    to: positionals[1],
+    library: values['library'],
+    reexport: values['reexport'],
+    git: Boolean(values['git'])
+  };
+}
+
+/**
+ * Converts an absolute path to a relative import specifier
+ * @param {string} fromDir - Directory of the importing file
+ * @param {string} targetPath - Imported path without extension
+ * @returns {string} Specifier starting with "./" or "../"
+ */
+function toRelativeSpecifier(fromDir, targetPath) {
+  const specifier = path.relative(fromDir, targetPath).replace(/\\/g, '/');
+  return specifier.startsWith('.') ? specifier : './' + specifier;
+}
+
+/**
+ * Moves the module file, creating the target directories
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} oldPath - Current module path
+ * @param {string} newPath - New module path
+ * @param {boolean} useGit - Move the file with "git mv" if it is tracked
+ */
+function moveModuleFile(rootDir, oldPath, newPath, useGit) {
+  fs.mkdirSync(path.dirname(newPath), { recursive: true });
+
+  const tracked = useGit && execSync(`git ls-files -- "${path.relative(rootDir, oldPath)}"`, { cwd: rootDir })
+    .toString().trim() !== '';
+
+  if (tracked) {
+    execSync(`git mv -- "${path.relative(rootDir, oldPath)}" "${path.relative(rootDir, newPath)}"`, {
+      cwd: rootDir,
+      stdio: 'inherit'
+    });
+  } else {
+    fs.renameSync(oldPath, newPath);
+  }
+}
+
+/**
+ * Rewrites a source file with a specifier replacer
+ * @param {string} filePath - Source file
+ * @param {function(string): (string|undefined)} replacer - Returns the new specifier or undefined to keep it
+ * @returns {boolean} True if the file was changed
+ */
+function rewriteFile(filePath, replacer) {
+  const source = fs.readFileSync(filePath, 'utf8');
+  const updated = replaceImportSpecifiers(source, replacer);
+  if (updated === source) {
+    return false;
+  }
+  fs.writeFileSync(filePath, updated);
+  return true;
+}
+
+/**
+ * Rewrites the relative imports of the shared code: the imports of the moved module
+ * itself now start from its new directory, and the other shared files import it
+ * from its new location
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {object} move - Old and new module paths
+ * @returns {string[]} Absolute paths of the updated files
+ */
+function rewriteSharedImports(sharedDir, move) {
+  const updatedFiles = [];
+  const oldDir = path.dirname(move.oldPath);
+  const newDir = path.dirname(move.newPath);
+
+  // Imports of the moved module
+  const movedFileChanged = rewriteFile(move.newPath, (specifier) => {
+    if (!specifier.startsWith('.') || oldDir === newDir) {
+      return undefined;
+    }
+    const extension = specifier.match(specifierExtensionPattern)?.[0] || '';
+    const targetPath = path.resolve(oldDir, specifier.replace(specifierExtensionPattern, ''));
+    return toRelativeSpecifier(newDir, targetPath) + extension;
+  });
+  if (movedFileChanged) {
+    updatedFiles.push(move.newPath);
+  }
+
+  // Imports of the moved module from other shared files
+  for (const filePath of listSourceFiles(sharedDir).filter(filePath => filePath !== move.newPath)) {
+    const fileDir = path.dirname(filePath);
+    const changed = rewriteFile(filePath, (specifier) => {
+      if (!specifier.startsWith('.')) {
+        return undefined;
+      }
+      const extension = specifier.match(specifierExtensionPattern)?.[0] || '';
+      const targetPath = path.resolve(fileDir, specifier.replace(specifierExtensionPattern, ''));
+      return targetPath === move.oldPathWithoutExtension
+        ? toRelativeSpecifier(fileDir, move.newPathWithoutExtension) + extension
+        : undefined;
+    });
+    if (changed) {
+      updatedFiles.push(filePath);
+    }
+  }
+
+  return updatedFiles;
+}
+
+/**
+ * Rewrites deep imports of the moved module ("./@shared/utils/math" or "@shared/utils/math")
+ * in the src directories of all projects and finds imports of the barrels that were deleted
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} move - Old and new module paths
+ * @param {string[]} deletedModules - Deleted barrel directories relative to the shared directory
+ * @param {string} sharedSymlink - Name of the symlink to the shared library of the module
+ * @returns {{updated: string[], broken: string[]}} Updated files and files that import a deleted barrel
+ */
+function rewriteProjectImports(rootDir, move, deletedModules, sharedSymlink) {
+  const result = { updated: [], broken: [] };
+
+  for (const project of getProjects(rootDir)) {
+    for (const filePath of listSourceFiles(path.join(project.dir, 'src'))) {
+      let broken = false;
+      const changed = rewriteFile(filePath, (specifier) => {
+        const parts = parseSharedSpecifier(specifier, sharedSymlink);
+        if (!parts) {
+          return undefined;
+        }
+        const modulePath = parts.modulePath.replace(/\/index$/, '');
+        if (deletedModules.includes(modulePath)) {
+          broken = true;
+        }
+        return parts.modulePath === move.oldModule
+          ? parts.prefix + move.newModule + parts.extension
+          : undefined;
+      });
+
+      if (changed) {
+        result.updated.push(filePath);
+      }
+      if (broken) {
+        result.broken.push(filePath);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Main function of the move-shared command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const config = readMonorepoConfig(rootDir);
+  const libraries = getSharedLibraries(config);
+  const library = libraries.length === 1 && args.library === undefined
+    ? libraries[0]
+    : libraries.find(candidate => candidate.name === args.library);
+  if (!library) {
+    exitWithUsageError(args.library === undefined
+      ? `--library is required, the shared libraries are: ${config.sharedLibraries.join(', ')}`
+      : `Invalid shared library: ${args.library}, valid ones: ${(config.sharedLibraries ?? []).join(', ') || 'none'}`);
+  }
+  const sharedDir = path.join(rootDir, library.dir);
+  const oldPath = path.join(sharedDir, args.from);
+
+  if (!args.from.endsWith('.ts') || path.basename(args.from) === 'index.ts' ||
+      path.relative(sharedDir, oldPath).startsWith('..') || !fs.existsSync(oldPath)) {
+    exitWithUsageError(`Module "${args.from}" not found in ${sharedDir}`);
+  }
+
+  const nameError = validateModuleName(sharedDir, args.to);
+  if (nameError) {
+    exitWithUsageError(nameError);
+  }
+  if (path.basename(args.to) === 'index.ts') {
+    exitWithUsageError('Module file cannot be named "index.ts", it is reserved for barrels');
+  }
+
+  if (args.git && !isGitRepository(rootDir)) {
+    exitWithUsageError('--git requires the monorepo to be a Git repository');
+  }
+
+  const newPath = path.join(sharedDir, args.to);
+  const move = {
+    oldPath,
+    newPath,
+    oldPathWithoutExtension: oldPath.replace(/\.ts$/, ''),
+    newPathWithoutExtension: newPath.replace(/\.ts$/, ''),
+    oldModule: args.from.replace(/\.ts$/, ''),
+    newModule: args.to.replace(/\.ts$/, '')
+  };
+
+  console.log(chalk.bold.blue(`📦 Moving shared module "${args.from}" to "${args.to}"`));
+  console.log('');
+
+  // Check the barrels of the new location for name conflicts before anything is moved,
+  // the old location is ignored because its exports go away
+  const chooseStyle = async () => args.reexport ?? null;
+  try {
+    await planBarrelUpdates(sharedDir, newPath, {
+      names: getExportedNames(oldPath),
+      ignoredFiles: new Set([oldPath]),
+      chooseStyle
+    });
+  } catch (error) {
+    if (error.code !== 'EXPORT_CONFLICT') {
+      throw error;
+    }
+    console.error(chalk.red(`Error: ${error.message}`));
+    console.error(chalk.yellow(error.style === 'named'
+      ? 'Pass --reexport namespace to re-export it as a namespace.'
+      : 'Pass --reexport named or --reexport namespace to re-export it without the conflicts.'));
+    exit(1);
+  }
+
+  moveModuleFile(rootDir, oldPath, newPath, args.git);
+  console.log(chalk.green(`✅ Moved module: ${newPath}`));
+
+  // Unwire the old location first, so that emptied barrels are deleted before the new chain is built
+  const { updated, deleted } = removeFromBarrels(sharedDir, oldPath);
+  updated.forEach(indexPath => console.log(chalk.blue(`Removed export from index: ${indexPath}`)));
+  deleted.forEach(deletedPath => console.log(chalk.blue(`Deleted ${deletedPath}`)));
+  applyBarrelUpdates(await planBarrelUpdates(sharedDir, newPath, { chooseStyle }));
+
+  rewriteSharedImports(sharedDir, move)
+    .forEach(filePath => console.log(chalk.blue(`Updated imports: ${filePath}`)));
+
+  // Barrels that are gone for good, a new one may have been created at the same place
+  const deletedModules = deleted
+    .filter(deletedPath => path.basename(deletedPath) === 'index.ts' && !fs.existsSync(deletedPath))
+    .map(indexPath => path.relative(sharedDir, path.dirname(indexPath)).replace(/\\/g, '/'));
+
+  const projectImports = rewriteProjectImports(rootDir, move, deletedModules, library.symlink);
+  projectImports.updated.forEach(filePath => console.log(chalk.blue(`Updated imports: ${filePath}`)));
+
+  console.log('');
+  console.log(chalk.green(`✅ Shared module "${args.from}" moved to "${args.to}"`));
+
+  if (projectImports.broken.length > 0) {
+    console.warn(chalk.yellow(`Warning: These files import barrels which were deleted (${deletedModules.join(', ')}):`));
+    projectImports.broken.forEach(filePath => console.warn(chalk.yellow(`  ${filePath}`)));
+  }
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
@@ -0,0 +1,229 @@
+/**
+ * Package managers that can drive the workspaces of the monorepo: how they are detected,
+ * where they list the workspaces and how they install dependencies and run scripts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+import { readJsonFile } from './workspace.js';
+import { readMonorepoConfig } from './monorepo-config.js';
+
+/**
+ * Supported package managers, in the order their lockfiles are looked for
+ */
+const packageManagers = {
+  npm: {
+    name: 'npm',
+    lockfiles: ['package-lock.json'],
+    workspaceManifest: 'package.json',
+    install: 'npm install',
+    offlineInstall: 'npm install --offline',
+    run: (script) => `npm run ${script}`,
+    exec: (command) => `npx ${command}`,
+    runInWorkspace: (script, packageName) => `npm run ${script} --workspace=${packageName}`,
+    runInAllWorkspaces: (script) => `npm run ${script} --workspaces`
+  },
+  pnpm: {
+    name: 'pnpm',
+    lockfiles: ['pnpm-lock.yaml'],
+    workspaceManifest: 'pnpm-workspace.yaml',
+    install: 'pnpm install',
+    offlineInstall: 'pnpm install --offline',
+    run: (script) => `pnpm run ${script}`,
+    exec: (command) => `pnpm exec ${command}`,
+    runInWorkspace: (script, packageName) => `pnpm --filter ${packageName} run ${script}`,
+    runInAllWorkspaces: (script) => `pnpm -r run ${script}`
+  },
+  yarn: {
+    name: 'yarn',
+    lockfiles: ['yarn.lock'],
+    workspaceManifest: 'package.json',
+    install: 'yarn install',
+    offlineInstall: null,
+    run: (script) => `yarn run ${script}`,
+    exec: (command) => `yarn exec ${command}`,
+    runInWorkspace: (script, packageName) => `yarn workspace ${packageName} run ${script}`,
+    runInAllWorkspaces: (script) => `yarn workspaces foreach --all run ${script}`
+  },
+  bun: {
+    name: 'bun',
+    lockfiles: ['bun.lock', 'bun.lockb'],
+    workspaceManifest: 'package.json',
+    install: 'bun install',
+    offlineInstall: null,
+    run: (script) => `bun run ${script}`,
+    exec: (command) => `bunx ${command}`,
+    runInWorkspace: (script, packageName) => `bun run --filter ${packageName} ${script}`,
+    runInAllWorkspaces: (script) => `bun run --filter '*' ${script}`
+  }
+};
+
+/**
+ * Yarn 1 (classic), used instead of packageManagers.yarn when the monorepo runs it: it has no
+ * "workspaces foreach", and its "yarn exec" drops the flags of the command
+ */
+const yarnClassic = {
+  ...packageManagers.yarn,
+  offlineInstall: 'yarn install --offline',
+  exec: (command) => `yarn run ${command}`,
+  runInAllWorkspaces: (script) => `yarn workspaces run ${script}`
+};
+
+/**
+ * Names of the supported package managers
+ */
+const packageManagerNames = Object.keys(packageManagers);
+
+/**
+ * Reads the "packageManager" field Corepack uses in the root package.json
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {{name: string, version: string}} Name and version, empty strings if the field is missing
+ */
+function readCorepackField(rootDir) {
+  const rootPackageJsonPath = path.join(rootDir, 'package.json');
+  const field = fs.existsSync(rootPackageJsonPath) ? String(readJsonFile(rootPackageJsonPath).packageManager ?? '') : '';
+  const [name, version = ''] = field.split('@');
+  return { name, version };
+}
+
+/**
+ * Finds out whether the monorepo uses Yarn 1: from the Corepack version, then from the files
+ * Yarn 2 and later leave (.yarnrc.yml, the __metadata of yarn.lock), then from "yarn --version".
+ * Yarn 2 and later is assumed when Yarn is not installed.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {boolean} True for Yarn 1
+ */
+function isYarnClassic(rootDir) {
+  const { name, version } = readCorepackField(rootDir);
+  if (name === 'yarn' && version) {
+    return version.startsWith('1.');
+  }
+  if (fs.existsSync(path.join(rootDir, '.yarnrc.yml'))) {
+    return false;
+  }
+  const lockfilePath = path.join(rootDir, 'yarn.lock');
+  if (fs.existsSync(lockfilePath)) {
+    return !fs.readFileSync(lockfilePath, 'utf8').includes('__metadata:');
+  }
+  try {
+    return execSync('yarn --version', { cwd: rootDir, stdio: ['ignore', 'pipe', 'ignore'], timeout: 15000 })
+      .toString().trim().startsWith('1.');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detects the package manager of the monorepo: the packageManager of monorepo.config.json,
+ * then the "packageManager" field Corepack uses in the root package.json, then the lockfiles.
+ * npm is used when there are no hints. For Yarn, its major version picks the commands.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {object} Package manager from packageManagers, or yarnClassic
+ */
+function getPackageManager(rootDir) {
+  const configured = readMonorepoConfig(rootDir).packageManager;
+  const corepackName = readCorepackField(rootDir).name;
+  const manager = packageManagers[configured]
+    ?? packageManagers[corepackName]
+    ?? Object.values(packageManagers).find(candidate => candidate.lockfiles.some(lockfile => fs.existsSync(path.join(rootDir, lockfile))))
+    ?? packageManagers.npm;
+  return manager === packageManagers.yarn && isYarnClassic(rootDir) ? yarnClassic : manager;
+}
+
+/**
+ * Parses a root script that runs a script of one or all workspaces with any of the package managers
+ * @param {string} command - Command of the root script
+ * @returns {{script: string, packageName: (string|null)}|null} Script name and package name, null for
+ *   all workspaces; null if the command is something else
+ */
+function parseWorkspaceCommand(command) {
+  const token = '([^\\s\'"]+)';
+  const patterns = [
+    [new RegExp(`^npm run ${token} --workspace[= ]${token}$`), 1, 2],
+    [new RegExp(`^npm run ${token} --workspaces$`), 1, 0],
+    [new RegExp(`^pnpm --filter[= ]${token} run ${token}$`), 2, 1],
+    [new RegExp(`^pnpm -r run ${token}$`), 1, 0],
+    [new RegExp(`^yarn workspace ${token} run ${token}$`), 2, 1],
+    [new RegExp(`^yarn workspaces foreach --all run ${token}$`), 1, 0],
+    [new RegExp(`^yarn workspaces run ${token}$`), 1, 0],
+    [new RegExp(`^bun run --filter '\\*' ${token}$`), 1, 0],
+    [new RegExp(`^bun run --filter[= ]${token} ${token}$`), 2, 1]
+  ];
+
+  for (const [pattern, scriptGroup, packageGroup] of patterns) {
+    const match = pattern.exec(command.trim());
+    if (match) {
+      return { script: match[scriptGroup], packageName: packageGroup ? match[packageGroup] : null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Rewrites the root scripts that run workspace scripts with another package manager
+ * @param {object} scripts - Root scripts, updated in place
+ * @param {object} manager - Package manager from packageManagers
+ * @returns {boolean} True if a script was changed
+ */
+function convertWorkspaceScripts(scripts, manager) {
+  let modified = false;
+  for (const [scriptName, command] of Object.entries(scripts)) {
+    const parsed = parseWorkspaceCommand(command);
+    if (!parsed) {
+      continue;
+    }
+    const converted = parsed.packageName
+      ? manager.runInWorkspace(parsed.script, parsed.packageName)
+      : manager.runInAllWorkspaces(parsed.script);
+    if (converted !== command) {
+      scripts[scriptName] = converted;
+      modified = true;
+    }
+  }
+  return modified;
+}
+
+/**
+ * Writes the workspace globs where the package manager reads them: the "workspaces" of the
+ * root package.json, and pnpm-workspace.yaml for pnpm
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} manager - Package manager from packageManagers
+ * @param {string[]} globs - Workspace globs, e.g. ["projects/*"]
+ * @returns {string[]} Updated files relative to rootDir
+ */
+function writeWorkspaceManifest(rootDir, manager, globs) {
+  const updatedFiles = [];
+
+  const rootPackageJsonPath = path.join(rootDir, 'package.json');
+  const rootPackageJson = readJsonFile(rootPackageJsonPath);
+  if (JSON.stringify(rootPackageJson.workspaces) !== JSON.stringify(globs)) {
+    rootPackageJson.workspaces = globs;
+    fs.writeFileSync(rootPackageJsonPath, JSON.stringify(rootPackageJson, null, 2));
+    updatedFiles.push('package.json');
+  }
+
+  // Other pnpm settings of the file are kept, only the list of packages is replaced
+  if (manager.workspaceManifest === 'pnpm-workspace.yaml') {
+    const manifestPath = path.join(rootDir, manager.workspaceManifest);
+    const packages = `packages:\n${globs.map(glob => `  - '${glob}'\n`).join('')}`;
+    const existing = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, 'utf8') : '';
+    const packagesPattern = /^packages:[ \t]*\r?\n(?:[ \t]+-.*(?:\r?\n|$))*/m;
+    const manifest = packagesPattern.test(existing) ? existing.replace(packagesPattern, packages) : packages + existing;
+    if (manifest !== existing) {
+      fs.writeFileSync(manifestPath, manifest);
+      updatedFiles.push(manager.workspaceManifest);
+    }
+  }
+
+  return updatedFiles;
+}
+
+export {
+  packageManagers,
+  packageManagerNames,
+  getPackageManager,
+  parseWorkspaceCommand,
+  convertWorkspaceScripts,
+  writeWorkspaceManifest
+};
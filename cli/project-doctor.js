@@ -0,0 +1,255 @@
+/**
+ * Checks of the invariants every workspace project gets when it is created: the shared symlink or copy,
+ * the tsconfig.json, the required scripts, the root scripts and the VS Code configs. Every check
+ * reports its problems and, when it can be repaired safely, a fix that reapplies the helper
+ * that created the invariant.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { rootScriptNames } from './workspace.js';
+import { getProjectSharedLibraries } from './monorepo-config.js';
+import { parseWorkspaceCommand } from './package-managers.js';
+import {
+  getProjectScripts,
+  createSymlink,
+  updateProjectPackage,
+  updateProjectTSConfig,
+  createProjectVSCodeConfigs,
+  updateMonorepoPackage
+} from './create-new-project.js';
+import { getSharedCopyState, writeSharedCopy } from './shared-copy.js';
+
+/**
+ * VS Code configs every project has
+ */
+const vscodeConfigFiles = ['launch.json', 'tasks.json', 'settings.json'];
+
+/**
+ * Checks the link to a shared library in the src directory of the project. A real directory
+ * in its place is left to the setup script, which backs it up first.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} sharedDir - Path to the shared library
+ * @param {string} linkPath - Path to the link
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkSharedSymlink(rootDir, sharedDir, linkPath) {
+  const relink = (ctx) => {
+    if (fs.lstatSync(linkPath, { throwIfNoEntry: false })?.isSymbolicLink()) {
+      ctx.unlink(linkPath);
+    }
+    createSymlink(ctx, sharedDir, linkPath);
+  };
+
+  const stats = fs.lstatSync(linkPath, { throwIfNoEntry: false });
+  if (!stats) {
+    return { problems: ['is missing'], fix: relink };
+  }
+  if (!stats.isSymbolicLink()) {
+    return { problems: ['is a real directory or file, not a symlink; the setup script backs it up and replaces it'] };
+  }
+
+  const target = path.resolve(path.dirname(linkPath), fs.readlinkSync(linkPath));
+  if (!fs.existsSync(target)) {
+    return { problems: [`is dangling, it points to ${path.relative(rootDir, target).replace(/\\/g, '/')}`], fix: relink };
+  }
+  if (fs.realpathSync(target) !== fs.realpathSync(sharedDir)) {
+    const expected = path.relative(rootDir, sharedDir).replace(/\\/g, '/');
+    return { problems: [`points to ${path.relative(rootDir, target).replace(/\\/g, '/')} instead of ${expected}`], fix: relink };
+  }
+  return { problems: [] };
+}
+
+/**
+ * Checks the copy of a shared library in the src directory of the project in the "copy" shared
+ * mode. A copy edited in the project is left to the sync command, which can overwrite it with --force.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} sharedDir - Path to the shared library
+ * @param {string} copyDir - Directory of the copy
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkSharedCopy(rootDir, sharedDir, copyDir) {
+  const fix = (ctx) => writeSharedCopy(ctx, sharedDir, copyDir);
+
+  const { state, editedFiles } = getSharedCopyState(sharedDir, copyDir);
+  switch (state) {
+    case 'missing':
+      return { problems: ['is missing'], fix };
+    case 'symlink':
+      return { problems: ['is a symlink, the shared mode is "copy"'], fix };
+    case 'outdated':
+      return { problems: [`is outdated, ${path.relative(rootDir, sharedDir).replace(/\\/g, '/')} changed since it was copied`], fix };
+    case 'edited':
+      return { problems: [`was edited locally: ${editedFiles.join(', ')}; "npm run sync -- --force" overwrites it`] };
+    case 'not a copy':
+      return { problems: ['is not a copy of the shared directory; the setup script backs it up and replaces it'] };
+    default:
+      return { problems: [] };
+  }
+}
+
+/**
+ * Checks the symlinks or the copies of the shared libraries the project uses, depending on the
+ * shared mode, and the libraries its package.json names
+ * @param {object} context - Check context, see checkProject
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkSharedDir({ rootDir, project, config }) {
+  const problems = [];
+  const fixes = [];
+
+  const declared = project.packageJson.monorepo?.shared;
+  const unknown = Array.isArray(declared) ? declared.filter(name => !(config.sharedLibraries ?? []).includes(name)) : [];
+  if (unknown.length > 0) {
+    problems.push(`package.json names unknown shared libraries: ${unknown.join(', ')}`);
+  }
+
+  for (const library of getProjectSharedLibraries(config, project.packageJson)) {
+    const sharedDir = path.join(rootDir, library.dir);
+    const linkPath = path.join(project.dir, 'src', library.symlink);
+    const result = config.sharedMode === 'copy'
+      ? checkSharedCopy(rootDir, sharedDir, linkPath)
+      : checkSharedSymlink(rootDir, sharedDir, linkPath);
+    problems.push(...result.problems.map(problem => `${library.symlink} ${problem}`));
+    if (result.fix) {
+      fixes.push(result.fix);
+    }
+  }
+
+  return fixes.length > 0 ? { problems, fix: (ctx) => fixes.forEach(fix => fix(ctx)) } : { problems };
+}
+
+/**
+ * Checks that the tsconfig.json of the project extends the root one and builds from src to dist
+ * @param {object} context - Check context, see checkProject
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkTSConfig({ project, relativeRootDir }) {
+  const tsConfigPath = path.join(project.dir, 'tsconfig.json');
+  const fix = (ctx) => updateProjectTSConfig(ctx, project.dir, relativeRootDir);
+  if (!fs.existsSync(tsConfigPath)) {
+    return { problems: ['is missing'], fix };
+  }
+
+  let tsConfig;
+  try {
+    tsConfig = JSON.parse(fs.readFileSync(tsConfigPath, 'utf8'));
+  } catch (error) {
+    return { problems: ['is not plain JSON, check it by hand'] };
+  }
+
+  const problems = [];
+  const expectedExtends = `${relativeRootDir}/tsconfig.json`;
+  if (tsConfig.extends !== expectedExtends) {
+    problems.push(tsConfig.extends ? `extends "${tsConfig.extends}" instead of "${expectedExtends}"` : `doesn't extend "${expectedExtends}"`);
+  }
+  const compilerOptions = tsConfig.compilerOptions ?? {};
+  if (!compilerOptions.outDir?.includes('dist')) {
+    problems.push(compilerOptions.outDir ? `outDir "${compilerOptions.outDir}" is outside of dist` : 'has no outDir');
+  }
+  for (const option of ['rootDir', 'tsBuildInfoFile']) {
+    if (!compilerOptions[option]) {
+      problems.push(`has no ${option}`);
+    }
+  }
+  return problems.length > 0 ? { problems, fix } : { problems };
+}
+
+/**
+ * Checks that the package.json of the project has the scripts of the monorepo configuration
+ * @param {object} context - Check context, see checkProject
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkProjectScripts({ project, config, relativeRootDir }) {
+  const scripts = getProjectScripts(config, relativeRootDir, project.name, project.packageName);
+  const missing = Object.keys(scripts).filter(scriptName => !project.packageJson.scripts?.[scriptName]);
+  if (missing.length === 0) {
+    return { problems: [] };
+  }
+  return {
+    problems: [`has no ${missing.map(scriptName => `"${scriptName}"`).join(', ')} script${missing.length > 1 ? 's' : ''}`],
+    fix: (ctx) => updateProjectPackage(ctx, project.dir, scripts)
+  };
+}
+
+/**
+ * Checks the <script>:<project> scripts of the root package.json. Scripts that run the script of
+ * another package or with another package manager are rewritten, hand-written ones are left alone.
+ * @param {object} context - Check context, see checkProject
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkRootScripts({ rootDir, project, manager, rootPackageJson }) {
+  const problems = [];
+  let customized = false;
+
+  for (const scriptName of rootScriptNames) {
+    const key = `${scriptName}:${project.name}`;
+    const command = rootPackageJson.scripts?.[key];
+    const expected = manager.runInWorkspace(scriptName, project.packageName);
+    if (command === undefined) {
+      problems.push(`"${key}" is missing`);
+    } else if (command !== expected) {
+      const parsed = parseWorkspaceCommand(command);
+      customized ||= !parsed;
+      problems.push(parsed ? `"${key}" runs "${command}" instead of "${expected}"` : `"${key}" is hand-written: "${command}"`);
+    }
+  }
+
+  if (problems.length === 0) {
+    return { problems };
+  }
+  if (customized) {
+    return { problems: [...problems, 'not fixed automatically, the hand-written scripts would be replaced'] };
+  }
+  return { problems, fix: (ctx) => updateMonorepoPackage(ctx, rootDir, project.name, project.packageName, manager) };
+}
+
+/**
+ * Checks that the project has its VS Code configs, the existing ones are kept by the fix
+ * @param {object} context - Check context, see checkProject
+ * @returns {{problems: string[], fix?: function(ScaffoldContext): void}} Problems and their fix
+ */
+function checkVSCodeConfigs({ project, manager }) {
+  const missing = vscodeConfigFiles.filter(file => !fs.existsSync(path.join(project.dir, '.vscode', file)));
+  if (missing.length === 0) {
+    return { problems: [] };
+  }
+  return {
+    problems: missing.map(file => `.vscode/${file} is missing`),
+    fix: (ctx) => createProjectVSCodeConfigs(ctx, project.dir, manager, { keepExisting: true })
+  };
+}
+
+/**
+ * Checks of every project with the name they are reported under
+ */
+const projectChecks = [
+  { name: 'shared directory', run: checkSharedDir },
+  { name: 'tsconfig.json', run: checkTSConfig },
+  { name: 'package scripts', run: checkProjectScripts },
+  { name: 'root scripts', run: checkRootScripts },
+  { name: 'VS Code configs', run: checkVSCodeConfigs }
+];
+
+/**
+ * Runs all checks on a project
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} project - Project from getProjects
+ * @param {object} config - Monorepo configuration from readMonorepoConfig
+ * @param {object} manager - Package manager from getPackageManager
+ * @param {object} rootPackageJson - Parsed root package.json
+ * @returns {{name: string, problems: string[], fix?: function(ScaffoldContext): void}[]} Result of every check
+ */
+function checkProject(rootDir, project, config, manager, rootPackageJson) {
+  const context = {
+    rootDir,
+    project,
+    config,
+    manager,
+    rootPackageJson,
+    relativeRootDir: path.relative(project.dir, rootDir).replace(/\\/g, '/')
+  };
+  return projectChecks.map(({ name, run }) => ({ name, ...run(context) }));
+}
+
+export { checkProject };
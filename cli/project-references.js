@@ -0,0 +1,131 @@
+/**
+ * TypeScript project references kept in sync with the dependencies between the workspace projects,
+ * so that "tsc -b" builds the projects in dependency order and skips the unchanged ones
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { dependencySections, readJsonFile, writeJsonFile, getProjects, isReferenceTo } from './workspace.js';
+import { DependencyCycleError } from './errors.js';
+
+/**
+ * Finds the workspace projects a project depends on in any dependency section of its package.json
+ * @param {object} project - Project from getProjects
+ * @param {object[]} projects - All projects from getProjects
+ * @returns {object[]} Projects the project depends on
+ */
+function getWorkspaceDependencies(project, projects) {
+  return projects.filter(other => other !== project &&
+    dependencySections.some(section => project.packageJson[section]?.[other.packageName] !== undefined));
+}
+
+/**
+ * Sorts projects so that every project comes after the projects it depends on
+ * @param {object[]} projects - Projects from getProjects
+ * @returns {object[]} Projects in build order
+ * @throws {DependencyCycleError} If the projects depend on each other in a cycle
+ */
+function sortProjects(projects) {
+  const sorted = [];
+  const states = new Map();
+
+  const visit = (project, chain) => {
+    if (states.get(project) === 'done') {
+      return;
+    }
+    if (states.get(project) === 'visiting') {
+      const cycle = [...chain.slice(chain.indexOf(project)), project];
+      throw new DependencyCycleError(cycle.map(({ packageName }) => packageName));
+    }
+
+    states.set(project, 'visiting');
+    for (const dependency of getWorkspaceDependencies(project, projects)) {
+      visit(dependency, [...chain, project]);
+    }
+    states.set(project, 'done');
+    sorted.push(project);
+  };
+
+  projects.forEach(project => visit(project, []));
+  return sorted;
+}
+
+/**
+ * Replaces the references of a tsconfig.json that point to workspace projects, other references
+ * and the extra settings of the kept ones (e.g. "prepend") stay as they are
+ * @param {string} configDir - Directory of the tsconfig.json
+ * @param {object} tsConfig - Parsed tsconfig.json, updated in place
+ * @param {string[]} targetDirs - Directories of the projects the tsconfig.json must reference, in build order
+ * @param {string[]} projectDirs - Directories of all workspace projects
+ * @returns {boolean} True if the references changed
+ */
+function syncReferences(configDir, tsConfig, targetDirs, projectDirs) {
+  const existing = Array.isArray(tsConfig.references) ? tsConfig.references : [];
+  const isProjectReference = (reference) => projectDirs.some(dir => isReferenceTo(configDir, reference, dir));
+
+  const references = [
+    ...existing.filter(reference => !isProjectReference(reference)),
+    ...targetDirs.map(dir => existing.find(reference => isReferenceTo(configDir, reference, dir)) ??
+      { path: path.relative(configDir, dir).replace(/\\/g, '/') })
+  ];
+
+  if (JSON.stringify(references) === JSON.stringify(existing)) {
+    return false;
+  }
+  if (references.length > 0 || tsConfig.references !== undefined) {
+    tsConfig.references = references;
+  }
+  return true;
+}
+
+/**
+ * Updates the references of the root tsconfig.json to all projects and of every project
+ * tsconfig.json to the projects it depends on. The root tsconfig.json becomes a solution
+ * file without sources of its own, so "tsc -b" at the root builds only the references.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {{updatedFiles: string[], skippedFiles: string[], projects: object[]}} Updated files and
+ *   files that are not plain JSON, relative to rootDir, and the TypeScript projects in build order
+ * @throws {DependencyCycleError} If the projects depend on each other in a cycle
+ */
+function updateProjectReferences(rootDir) {
+  const allProjects = sortProjects(getProjects(rootDir));
+  const projects = allProjects.filter(({ dir }) => fs.existsSync(path.join(dir, 'tsconfig.json')));
+  const projectDirs = allProjects.map(({ dir }) => dir);
+  const updatedFiles = [];
+  const skippedFiles = [];
+
+  const update = (configDir, targetDirs, solution) => {
+    const tsConfigPath = path.join(configDir, 'tsconfig.json');
+    if (!fs.existsSync(tsConfigPath)) {
+      return;
+    }
+
+    let tsConfig;
+    try {
+      tsConfig = readJsonFile(tsConfigPath);
+    } catch (error) {
+      skippedFiles.push(path.relative(rootDir, tsConfigPath));
+      return;
+    }
+
+    let modified = syncReferences(configDir, tsConfig, targetDirs, projectDirs);
+    if (solution && tsConfig.files === undefined && tsConfig.include === undefined) {
+      tsConfig.files = [];
+      modified = true;
+    }
+    if (modified) {
+      writeJsonFile(tsConfigPath, tsConfig);
+      updatedFiles.push(path.relative(rootDir, tsConfigPath));
+    }
+  };
+
+  for (const project of projects) {
+    const dependencies = getWorkspaceDependencies(project, projects);
+    update(project.dir, projects.filter(other => dependencies.includes(other)).map(({ dir }) => dir), false);
+  }
+  update(rootDir, projects.map(({ dir }) => dir), true);
+
+  return { updatedFiles, skippedFiles, projects };
+}
+
+export { getWorkspaceDependencies, sortProjects, updateProjectReferences };
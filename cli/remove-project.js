@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * This script removes a project from the monorepo: it deletes the project directory,
+ * unregisters its root package.json scripts and drops references to it from other projects.
+ *
+ * Usage: npm run remove-project -- <name> [--yes] [--git]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, isGitRepository, askYesNo, exitWithUsageError } from './utils.js';
+import {
+  dependencySections,
+  readJsonFile,
+  writeJsonFile,
+  getProjects,
+  isProjectRootScript,
+  isReferenceTo,
+  removeWorkspaceLink
+} from './workspace.js';
+import { readMonorepoConfig } from './monorepo-config.js';
+import { getPackageManager } from './package-managers.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run remove-project -- <name> [--yes] [--git]
+
+Options:
+  -y, --yes   Don't ask for confirmation
+  --git       Remove the project files with "git rm" so the deletion is staged
+  -h, --help  Show this help
+
+Exit codes: 0 - success, 1 - removal failed, 2 - invalid arguments or cancelled`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, name: string, yes: boolean, git: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'yes': { type: 'boolean', short: 'y' },
+        'git': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (!values['help'] && positionals.length !== 1) {
+    exitWithUsageError('Exactly one project name is required');
+  }
+
+  return {
+    help: Boolean(values['help']),
+    name: positionals[0],
+    yes: Boolean(values['yes']),
+    git: Boolean(values['git'])
+  };
+}
+
+/**
+ * Removes references to a project from the package.json and tsconfig.json files of other projects
+ * and from the root tsconfig.json
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} project - Project being removed
+ * @param {object[]} otherProjects - Remaining projects
+ * @returns {string[]} Updated files relative to rootDir
+ */
+function removeProjectReferences(rootDir, project, otherProjects) {
+  const updatedFiles = [];
+
+  // Workspace dependencies on the removed package
+  for (const { dir, packageJson } of otherProjects) {
+    let modified = false;
+    for (const section of dependencySections) {
+      if (packageJson[section]?.[project.packageName] !== undefined) {
+        delete packageJson[section][project.packageName];
+        modified = true;
+      }
+    }
+
+    if (modified) {
+      const packageJsonPath = path.join(dir, 'package.json');
+      writeJsonFile(packageJsonPath, packageJson);
+      updatedFiles.push(path.relative(rootDir, packageJsonPath));
+    }
+  }
+
+  // TypeScript project references
+  const configDirs = [rootDir, ...otherProjects.map(({ dir }) => dir)];
+  for (const configDir of configDirs) {
+    const tsConfigPath = path.join(configDir, 'tsconfig.json');
+    if (!fs.existsSync(tsConfigPath)) {
+      continue;
+    }
+
+    let tsConfig;
+    try {
+      tsConfig = readJsonFile(tsConfigPath);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Skipping ${tsConfigPath}, it is not plain JSON: ${error.message}`));
+      continue;
+    }
+
+    if (Array.isArray(tsConfig.references)) {
+      const references = tsConfig.references.filter(reference => !isReferenceTo(configDir, reference, project.dir));
+      if (references.length !== tsConfig.references.length) {
+        tsConfig.references = references;
+        writeJsonFile(tsConfigPath, tsConfig);
+        updatedFiles.push(path.relative(rootDir, tsConfigPath));
+      }
+    }
+  }
+
+  return updatedFiles;
+}
+
+/**
+ * Removes the root package.json scripts of a project
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} project - Project being removed
+ * @returns {string[]} Names of the removed scripts
+ */
+function removeRootScripts(rootDir, project) {
+  const rootPackageJsonPath = path.join(rootDir, 'package.json');
+  const rootPackageJson = readJsonFile(rootPackageJsonPath);
+  const removedScripts = [];
+
+  for (const [scriptName, command] of Object.entries(rootPackageJson.scripts || {})) {
+    if (isProjectRootScript(scriptName, command, project.name, project.packageName)) {
+      delete rootPackageJson.scripts[scriptName];
+      removedScripts.push(scriptName);
+    }
+  }
+
+  if (removedScripts.length > 0) {
+    writeJsonFile(rootPackageJsonPath, rootPackageJson);
+  }
+
+  return removedScripts;
+}
+
+/**
+ * Deletes the project directory and the workspace link npm creates in the root node_modules
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} project - Project being removed
+ * @param {boolean} useGit - Remove tracked files with "git rm"
+ */
+function removeProjectFiles(rootDir, project, useGit) {
+  if (useGit) {
+    execSync(`git rm -r -q --ignore-unmatch -- "${path.relative(rootDir, project.dir)}"`, {
+      cwd: rootDir,
+      stdio: 'inherit'
+    });
+  }
+
+  // Untracked leftovers: build output, node_modules, the @shared symlink
+  fs.rmSync(project.dir, { recursive: true, force: true });
+  removeWorkspaceLink(rootDir, project.packageName);
+}
+
+/**
+ * Main function of the remove-project command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const projects = getProjects(rootDir);
+  const project = projects.find(({ name }) => name === args.name);
+  if (!project) {
+    exitWithUsageError(`Project "${args.name}" not found in ${path.join(rootDir, readMonorepoConfig(rootDir).projectsDir)}`);
+  }
+
+  if (args.git && !isGitRepository(rootDir)) {
+    exitWithUsageError('--git requires the monorepo to be a Git repository');
+  }
+
+  console.log(chalk.bold.red(`🗑️  Removing project "${project.name}" (${project.packageName})`));
+  console.log(`  Directory: ${project.dir}`);
+  console.log('');
+
+  if (!args.yes) {
+    const confirmed = await askYesNo(`Are you sure you want to remove "${project.name}"? This cannot be undone.`);
+    if (!confirmed) {
+      console.log('Cancelled');
+      exit(2);
+    }
+  }
+
+  const otherProjects = projects.filter(({ name }) => name !== project.name);
+
+  // The files go first: if "git rm" refuses locally modified files, nothing else has changed yet
+  removeProjectFiles(rootDir, project, args.git);
+  console.log(chalk.blue(`Deleted ${project.dir}`));
+
+  const removedScripts = removeRootScripts(rootDir, project);
+  if (removedScripts.length > 0) {
+    console.log(chalk.blue(`Removed root scripts: ${removedScripts.join(', ')}`));
+  }
+
+  const updatedFiles = removeProjectReferences(rootDir, project, otherProjects);
+  updatedFiles.forEach(file => console.log(chalk.blue(`Removed references from ${file}`)));
+
+  console.log('');
+  console.log(chalk.green(`✅ Project "${project.name}" removed`));
+  console.log(chalk.yellow(`Run "${getPackageManager(rootDir).install}" to update the lockfile.`));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
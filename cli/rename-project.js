@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+/**
+ * This script renames a project of the monorepo: it moves the project directory, renames
+ * its package, root package.json scripts and every reference to it from other projects.
+ *
+ * Usage: npm run rename-project -- <old> <new> [--git]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, isGitRepository, exitWithUsageError } from './utils.js';
+import { validateProjectName } from './create-new-project.js';
+import {
+  rootScriptNames,
+  dependencySections,
+  escapeRegExp,
+  readJsonFile,
+  writeJsonFile,
+  renameKey,
+  getProjects,
+  isProjectRootScript,
+  isReferenceTo,
+  replaceImportSpecifiers,
+  listSourceFiles,
+  removeWorkspaceLink
+} from './workspace.js';
+import { readMonorepoConfig } from './monorepo-config.js';
+import { getPackageManager } from './package-managers.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run rename-project -- <old> <new> [--git]
+
+Options:
+  --git       Move the project files with "git mv" so the rename is staged
+  -h, --help  Show this help
+
+Exit codes: 0 - success, 1 - rename failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, oldName: string, newName: string, git: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'git': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (!values['help'] && positionals.length !== 2) {
+    exitWithUsageError('The old and the new project names are required');
+  }
+
+  return {
+    help: Boolean(values['help']),
+    oldName: positionals[0],
+    newName: positionals[1],
+    git: Boolean(values['git'])
+  };
+}
+
+/**
+ * Derives the new package name from the current one. Package names that don't end
+ * with the project name were chosen by hand and are kept as they are.
+ * @param {string} packageName - Current package name
+ * @param {string} oldName - Current project name
+ * @param {string} newName - New project name
+ * @returns {string} New package name
+ */
+function getNewPackageName(packageName, oldName, newName) {
+  const match = new RegExp(`^(@[^/]+/)?${escapeRegExp(oldName)}$`).exec(packageName);
+  return match ? `${match[1] || ''}${newName}` : packageName;
+}
+
+/**
+ * Replaces the old project and package names in a text where they appear as paths,
+ * package names or root script names, e.g. "projects/apps/app", "@monorepo/app" or "build:app".
+ * Paths are matched from the root with the actual directory of the project, so they follow
+ * projectsDir and the project groups.
+ * @param {string} text - Text to update
+ * @param {object} rename - Description of the rename
+ * @returns {string} Updated text
+ */
+function replaceProjectMentions(text, { oldName, newName, parentDir, oldPackageName, newPackageName }) {
+  const boundary = '(?![\\w-])';
+  const scriptNames = rootScriptNames.map(escapeRegExp).join('|');
+
+  // Separators may be "/", "\" or "\\" escaped in JSON
+  let result = text;
+  if (parentDir) {
+    const dirPattern = parentDir.split('/').map(escapeRegExp).join('[/\\\\]{1,2}');
+    result = result.replace(
+      new RegExp(`(?<![\\w-])${dirPattern}[/\\\\]{1,2}${escapeRegExp(oldName)}${boundary}`, 'g'),
+      match => match.slice(0, -oldName.length) + newName
+    );
+  }
+  result = result.replace(
+    new RegExp(`(?<![\\w@/-])(${scriptNames}):${escapeRegExp(oldName)}${boundary}`, 'g'),
+    `$1:${newName}`
+  );
+  if (oldPackageName !== newPackageName) {
+    result = result.replace(new RegExp(`(?<![\\w@/-])${escapeRegExp(oldPackageName)}${boundary}`, 'g'), newPackageName);
+  }
+  return result;
+}
+
+/**
+ * Moves the project directory. The relative @shared symlink stays valid because
+ * the project keeps the same depth.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} oldDir - Current project directory
+ * @param {string} newDir - New project directory
+ * @param {boolean} useGit - Move tracked files with "git mv"
+ */
+function moveProjectDir(rootDir, oldDir, newDir, useGit) {
+  const tracked = useGit && execSync(`git ls-files -- "${path.relative(rootDir, oldDir)}"`, { cwd: rootDir })
+    .toString().trim() !== '';
+
+  if (tracked) {
+    execSync(`git mv -- "${path.relative(rootDir, oldDir)}" "${path.relative(rootDir, newDir)}"`, {
+      cwd: rootDir,
+      stdio: 'inherit'
+    });
+  } else {
+    fs.renameSync(oldDir, newDir);
+  }
+}
+
+/**
+ * Renames the root package.json scripts of the project, keeping their order
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} rename - Description of the rename
+ * @returns {string[]} Renamed scripts as "old -> new"
+ */
+function renameRootScripts(rootDir, rename) {
+  const rootPackageJsonPath = path.join(rootDir, 'package.json');
+  const rootPackageJson = readJsonFile(rootPackageJsonPath);
+  const renamedScripts = [];
+  const scripts = {};
+
+  for (const [scriptName, command] of Object.entries(rootPackageJson.scripts || {})) {
+    if (!isProjectRootScript(scriptName, command, rename.oldName, rename.oldPackageName)) {
+      scripts[scriptName] = command;
+      continue;
+    }
+
+    const newScriptName = replaceProjectMentions(scriptName, rename);
+    scripts[newScriptName] = replaceProjectMentions(command, rename);
+    if (newScriptName !== scriptName || scripts[newScriptName] !== command) {
+      renamedScripts.push(newScriptName === scriptName ? scriptName : `${scriptName} -> ${newScriptName}`);
+    }
+  }
+
+  if (renamedScripts.length > 0) {
+    rootPackageJson.scripts = scripts;
+    writeJsonFile(rootPackageJsonPath, rootPackageJson);
+  }
+
+  return renamedScripts;
+}
+
+/**
+ * Updates the package name of the project and the dependencies and tsconfig.json
+ * references of other projects and the root
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} rename - Description of the rename
+ * @param {object[]} otherProjects - Other projects of the monorepo
+ * @returns {string[]} Updated files relative to rootDir
+ */
+function updateProjectReferences(rootDir, rename, otherProjects) {
+  const updatedFiles = [];
+
+  // Package name of the project itself
+  const packageJsonPath = path.join(rename.newDir, 'package.json');
+  const packageJson = readJsonFile(packageJsonPath);
+  if (packageJson.name !== rename.newPackageName) {
+    packageJson.name = rename.newPackageName;
+    writeJsonFile(packageJsonPath, packageJson);
+    updatedFiles.push(path.relative(rootDir, packageJsonPath));
+  }
+
+  // Workspace dependencies on the renamed package
+  if (rename.oldPackageName !== rename.newPackageName) {
+    for (const { dir, packageJson: dependentJson } of otherProjects) {
+      let modified = false;
+      for (const section of dependencySections) {
+        if (dependentJson[section]?.[rename.oldPackageName] !== undefined) {
+          dependentJson[section] = renameKey(dependentJson[section], rename.oldPackageName, rename.newPackageName);
+          modified = true;
+        }
+      }
+
+      if (modified) {
+        const dependentJsonPath = path.join(dir, 'package.json');
+        writeJsonFile(dependentJsonPath, dependentJson);
+        updatedFiles.push(path.relative(rootDir, dependentJsonPath));
+      }
+    }
+  }
+
+  // TypeScript project references
+  const configDirs = [rootDir, ...otherProjects.map(({ dir }) => dir)];
+  for (const configDir of configDirs) {
+    const tsConfigPath = path.join(configDir, 'tsconfig.json');
+    if (!fs.existsSync(tsConfigPath)) {
+      continue;
+    }
+
+    let tsConfig;
+    try {
+      tsConfig = readJsonFile(tsConfigPath);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Skipping ${tsConfigPath}, it is not plain JSON: ${error.message}`));
+      continue;
+    }
+
+    let modified = false;
+    for (const reference of Array.isArray(tsConfig.references) ? tsConfig.references : []) {
+      if (isReferenceTo(configDir, reference, rename.oldDir)) {
+        const target = path.join(rename.newDir, path.relative(rename.oldDir, path.resolve(configDir, reference.path)));
+        reference.path = path.relative(configDir, target).replace(/\\/g, '/') || '.';
+        modified = true;
+      }
+    }
+
+    if (modified) {
+      writeJsonFile(tsConfigPath, tsConfig);
+      updatedFiles.push(path.relative(rootDir, tsConfigPath));
+    }
+  }
+
+  return updatedFiles;
+}
+
+/**
+ * Rewrites import specifiers of the old package ("@monorepo/app" or "@monorepo/app/...")
+ * in the source files of the projects
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} rename - Description of the rename
+ * @param {object[]} projects - Projects to update
+ * @returns {string[]} Updated files relative to rootDir
+ */
+function rewriteImports(rootDir, rename, projects) {
+  if (rename.oldPackageName === rename.newPackageName) {
+    return [];
+  }
+
+  const oldPrefix = `${rename.oldPackageName}/`;
+  const replacer = (specifier) => {
+    if (specifier === rename.oldPackageName) {
+      return rename.newPackageName;
+    }
+    return specifier.startsWith(oldPrefix) ? rename.newPackageName + specifier.slice(rename.oldPackageName.length) : undefined;
+  };
+
+  const updatedFiles = [];
+  for (const { dir } of projects) {
+    for (const filePath of listSourceFiles(dir)) {
+      const source = fs.readFileSync(filePath, 'utf8');
+      const updated = replaceImportSpecifiers(source, replacer);
+      if (updated !== source) {
+        fs.writeFileSync(filePath, updated);
+        updatedFiles.push(path.relative(rootDir, filePath));
+      }
+    }
+  }
+
+  return updatedFiles;
+}
+
+/**
+ * Updates the VS Code configurations of the root and of all projects which mention
+ * the project path, its package or its root scripts
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object} rename - Description of the rename
+ * @param {object[]} projects - Projects of the monorepo
+ * @returns {string[]} Updated files relative to rootDir
+ */
+function updateVSCodeConfigs(rootDir, rename, projects) {
+  const configFiles = [];
+  for (const dir of [rootDir, ...projects.map(project => project.dir)]) {
+    const vscodeDir = path.join(dir, '.vscode');
+    if (fs.existsSync(vscodeDir)) {
+      fs.readdirSync(vscodeDir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => configFiles.push(path.join(vscodeDir, file)));
+    }
+  }
+  fs.readdirSync(rootDir)
+    .filter(file => file.endsWith('.code-workspace'))
+    .forEach(file => configFiles.push(path.join(rootDir, file)));
+
+  const updatedFiles = [];
+  for (const filePath of configFiles) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const updated = replaceProjectMentions(content, rename);
+    if (updated !== content) {
+      fs.writeFileSync(filePath, updated);
+      updatedFiles.push(path.relative(rootDir, filePath));
+    }
+  }
+
+  return updatedFiles;
+}
+
+/**
+ * Main function of the rename-project command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const projects = getProjects(rootDir);
+  const project = projects.find(({ name }) => name === args.oldName);
+  if (!project) {
+    exitWithUsageError(`Project "${args.oldName}" not found in ${path.join(rootDir, readMonorepoConfig(rootDir).projectsDir)}`);
+  }
+
+  const nameError = validateProjectName(rootDir, args.newName, path.relative(rootDir, path.dirname(project.dir)));
+  if (nameError) {
+    exitWithUsageError(nameError);
+  }
+
+  if (args.git && !isGitRepository(rootDir)) {
+    exitWithUsageError('--git requires the monorepo to be a Git repository');
+  }
+
+  const rename = {
+    oldName: project.name,
+    newName: args.newName,
+    oldDir: project.dir,
+    newDir: path.join(path.dirname(project.dir), args.newName),
+    parentDir: path.relative(rootDir, path.dirname(project.dir)).replace(/\\/g, '/'),
+    oldPackageName: project.packageName,
+    newPackageName: getNewPackageName(project.packageName, project.name, args.newName)
+  };
+  const otherProjects = projects.filter(({ name }) => name !== project.name);
+
+  console.log(chalk.bold.blue(`✏️  Renaming project "${rename.oldName}" to "${rename.newName}"`));
+  if (rename.oldPackageName === rename.newPackageName) {
+    console.warn(chalk.yellow(`Warning: Package name "${rename.oldPackageName}" doesn't follow the project name and is kept`));
+  } else {
+    console.log(`  Package: ${rename.oldPackageName} -> ${rename.newPackageName}`);
+  }
+  console.log('');
+
+  moveProjectDir(rootDir, rename.oldDir, rename.newDir, args.git);
+  console.log(chalk.blue(`Moved ${path.relative(rootDir, rename.oldDir)} to ${path.relative(rootDir, rename.newDir)}`));
+
+  const renamedScripts = renameRootScripts(rootDir, rename);
+  if (renamedScripts.length > 0) {
+    console.log(chalk.blue(`Renamed root scripts: ${renamedScripts.join(', ')}`));
+  }
+
+  const renamedProject = { ...project, name: rename.newName, dir: rename.newDir };
+  const updatedFiles = [
+    ...updateProjectReferences(rootDir, rename, otherProjects),
+    ...rewriteImports(rootDir, rename, [...otherProjects, renamedProject]),
+    ...updateVSCodeConfigs(rootDir, rename, [...otherProjects, renamedProject])
+  ];
+  [...new Set(updatedFiles)].forEach(file => console.log(chalk.blue(`Updated ${file}`)));
+
+  removeWorkspaceLink(rootDir, rename.oldPackageName);
+
+  console.log('');
+  console.log(chalk.green(`✅ Project "${rename.oldName}" renamed to "${rename.newName}"`));
+  console.log(chalk.yellow(`Run "${getPackageManager(rootDir).install}" to update the workspace links and the lockfile.`));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * This script moves the packages of the monorepo to another npm scope: it renames the
+ * packages, the dependencies between them, the root scripts and the imports, and saves
+ * the new scope to monorepo.config.json so that new projects use it too.
+ *
+ * Usage: npm run rescope -- <scope>
+ */
+
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { configFileName, validateScope, normalizeScope, readMonorepoConfig, updateMonorepoConfig } from './monorepo-config.js';
+import { rescopeMonorepo } from './scope.js';
+import { getPackageManager } from './package-managers.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run rescope -- <scope>
+
+Moves the packages of the current scope (see ${configFileName}) to <scope>, e.g. "@acme" or "acme".
+
+Options:
+  -h, --help  Show this help
+
+Exit codes: 0 - success, 1 - rescoping failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, scope: string}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (!values['help'] && positionals.length !== 1) {
+    exitWithUsageError('The new scope is required');
+  }
+
+  const scope = positionals[0] && normalizeScope(positionals[0]);
+  if (!values['help']) {
+    const scopeError = validateScope(scope);
+    if (scopeError) {
+      exitWithUsageError(scopeError);
+    }
+  }
+
+  return {
+    help: Boolean(values['help']),
+    scope
+  };
+}
+
+/**
+ * Main function of the rescope command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const oldScope = readMonorepoConfig(rootDir).scope;
+  if (oldScope === args.scope) {
+    console.log(chalk.green(`✅ The packages are already in the ${args.scope} scope`));
+    return;
+  }
+
+  console.log(chalk.bold.blue(`🏷️  Moving the packages from ${oldScope} to ${args.scope}`));
+  console.log('');
+
+  const { renames, updatedFiles } = rescopeMonorepo(rootDir, oldScope, args.scope);
+  renames.forEach((newName, oldName) => console.log(`  ${oldName} -> ${newName}`));
+  updatedFiles.forEach(file => console.log(chalk.blue(`Updated ${file}`)));
+
+  updateMonorepoConfig(rootDir, { scope: args.scope });
+  console.log(chalk.blue(`Updated ${configFileName}`));
+
+  console.log('');
+  console.log(chalk.green(`✅ Moved ${renames.size} package(s) to the ${args.scope} scope`));
+  console.log(chalk.yellow(`Run "${getPackageManager(rootDir).install}" to update the workspace links and the lockfile.`));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
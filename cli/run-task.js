@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * This script runs a package script in the workspace projects concurrently, in dependency order,
+ * with the output of every project prefixed with its name, taking the results of unchanged projects
+ * from the task cache. The root clean, lint and test scripts use it.
+ *
+ * Usage: node ./cli/run-task.js <script> [<project>...] [--concurrency <n>] [--bail|--continue] [--no-cache]
+ */
+
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { getProjects } from './workspace.js';
+import { sortProjects } from './project-references.js';
+import { taskRunnerOptions, getTaskRunnerOptions, runTasks, printTaskSummary } from './task-runner.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  node ./cli/run-task.js <script> [<project>...] [options]
+  npm run clean|lint|test -- [<project>...] [options]
+
+Runs <script> in the projects that have it, several at a time: a project starts when the projects
+it depends on have finished. Every output line starts with the project name, and a summary with
+the status and the duration of every project is printed at the end. The results of the scripts
+listed in the "cache" settings of monorepo.config.json are cached under .cache/tasks: a project
+whose inputs haven't changed replays the saved output instead.
+
+Options:
+  <project>            Run the script only in these projects, default: all projects
+  --concurrency <n>    Run up to <n> scripts at the same time, default: the number of CPUs
+  --bail               Stop the running scripts and start no new ones after a failure (default)
+  --continue           After a failure, keep running the projects that don't depend on the failed ones
+  --no-cache           Run the script in every project, without reading or writing the cache
+  -h, --help           Show this help
+
+Exit codes: 0 - success, 1 - the script failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, script: string, projects: string[], cache: boolean, concurrency: number,
+ *   continueOnError: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        ...taskRunnerOptions,
+        'no-cache': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (!values['help'] && positionals.length === 0) {
+    exitWithUsageError('The script name is required');
+  }
+
+  let runnerOptions;
+  try {
+    runnerOptions = getTaskRunnerOptions(values);
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  return {
+    help: Boolean(values['help']),
+    script: positionals[0],
+    projects: positionals.slice(1),
+    cache: !values['no-cache'],
+    ...runnerOptions
+  };
+}
+
+/**
+ * Main function of the run-task command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const projects = sortProjects(getProjects(rootDir));
+  for (const name of args.projects) {
+    if (!projects.some(project => project.name === name)) {
+      exitWithUsageError(`Project "${name}" not found, available: ${projects.map(project => project.name).join(', ')}`);
+    }
+  }
+
+  const selected = args.projects.length > 0 ? projects.filter(project => args.projects.includes(project.name)) : projects;
+  const results = await runTasks({
+    rootDir,
+    script: args.script,
+    projects: selected,
+    cache: args.cache,
+    concurrency: args.concurrency,
+    continueOnError: args.continueOnError
+  });
+  printTaskSummary(args.script, results);
+  if (results.some(result => result.status === 'failed')) {
+    exit(1);
+  }
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import { execSync } from 'child_process';
+
+/**
+ * Directories that are never scanned for files produced by external commands
+ */
+const ignoredDirs = ['node_modules', '.git'];
+
+/**
+ * Lists all files and symlinks below a directory (symlinks are not followed)
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Absolute paths of the found entries
+ */
+function listFiles(dir) {
+  const result = [];
+
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      if (!ignoredDirs.includes(dirent.name)) {
+        result.push(...listFiles(entryPath));
+      }
+    } else {
+      result.push(entryPath);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Converts an absolute path to a path relative to rootDir with forward slashes
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} filePath - Absolute path
+ * @returns {string} Relative path
+ */
+function toRelativePath(rootDir, filePath) {
+  return path.relative(rootDir, filePath).replace(/\\/g, '/');
+}
+
+/**
+ * Reads the current state of a filesystem entry so that it can be restored later
+ * @param {string} filePath - Path to the entry
+ * @returns {{link: string}|{content: Buffer}|null} Symlink target, file content or null if there is no entry
+ */
+function readEntryState(filePath) {
+  try {
+    const stats = fs.lstatSync(filePath);
+    return stats.isSymbolicLink() ? { link: fs.readlinkSync(filePath) } : { content: fs.readFileSync(filePath) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Performs the filesystem changes and external commands of the scaffolding pipeline.
+ * Every change is recorded together with the state it replaced, so the caller gets an
+ * exact list of what was touched and can undo all of it if a later step fails.
+ */
+class ScaffoldContext {
+  /**
+   * @param {object} [options]
+   * @param {{log: Function, warn: Function, error: Function}} [options.logger] - Output of progress messages, console by default
+   * @param {string} [options.stdio] - stdio mode of external commands such as framework generators
+   * @param {string[]} [options.watchedFiles] - Files outside of the command output that external commands
+   *   may change as a side effect (e.g. the root package.json and lockfile of npm workspaces)
+   */
+  constructor({ logger = console, stdio = 'inherit', watchedFiles = [] } = {}) {
+    this.logger = logger;
+    this.stdio = stdio;
+    this.watchedFiles = watchedFiles.map(filePath => path.resolve(filePath));
+    this.changes = [];
+  }
+
+  log(...args) {
+    this.logger.log(...args);
+  }
+
+  warn(...args) {
+    this.logger.warn(...args);
+  }
+
+  error(...args) {
+    this.logger.error(...args);
+  }
+
+  exists(filePath) {
+    return fs.existsSync(filePath);
+  }
+
+  readFile(filePath) {
+    return fs.readFileSync(filePath, 'utf8');
+  }
+
+  writeFile(filePath, content) {
+    const previous = readEntryState(filePath);
+    fs.writeFileSync(filePath, content);
+    this.record(previous ? 'modify' : 'create', filePath, previous);
+  }
+
+  mkdir(dirPath) {
+    // Collect the directory levels which don't exist yet
+    const missingDirs = [];
+    for (let dir = path.resolve(dirPath); !fs.existsSync(dir); dir = path.dirname(dir)) {
+      missingDirs.unshift(dir);
+    }
+
+    fs.mkdirSync(dirPath, { recursive: true });
+    missingDirs.forEach(dir => this.record('mkdir', dir));
+  }
+
+  symlink(target, linkPath) {
+    fs.symlinkSync(target, linkPath, 'dir');
+    this.record('symlink', linkPath);
+  }
+
+  unlink(filePath) {
+    const previous = readEntryState(filePath);
+    fs.unlinkSync(filePath);
+    this.record('delete', filePath, previous);
+  }
+
+  /**
+   * Runs an external command and records the files it creates and the watched files it changes.
+   * Changes are recorded even if the command fails, so a half-finished run can be rolled back.
+   * @param {string} command - Command line to execute
+   * @param {object} [options]
+   * @param {string} [options.cwd] - Working directory of the command
+   * @param {string} [options.outputDir] - Directory the command writes to, cwd by default
+   */
+  exec(command, { cwd = undefined, outputDir = cwd } = {}) {
+    const scanDir = outputDir && path.resolve(outputDir);
+    const existingFiles = new Set(scanDir && fs.existsSync(scanDir) ? listFiles(scanDir) : []);
+    const watchedStates = this.watchedFiles.map(filePath => ({ filePath, previous: readEntryState(filePath) }));
+
+    try {
+      execSync(command, { cwd, stdio: this.stdio });
+    } finally {
+      if (scanDir && fs.existsSync(scanDir)) {
+        listFiles(scanDir)
+          .filter(filePath => !existingFiles.has(filePath))
+          .forEach(filePath => this.record('create', filePath));
+      }
+
+      for (const { filePath, previous } of watchedStates) {
+        const current = readEntryState(filePath);
+        if (!previous && current) {
+          this.record('create', filePath);
+        } else if (previous?.content && !previous.content.equals(current?.content ?? Buffer.alloc(0))) {
+          this.record(current ? 'modify' : 'delete', filePath, previous);
+        }
+      }
+    }
+  }
+
+  record(action, filePath, previous = null) {
+    this.changes.push({ action, path: path.resolve(filePath), previous });
+  }
+
+  /**
+   * Undoes all recorded changes in reverse order, leaving the filesystem as it was
+   * before the context was used. Directories created by the pipeline are removed
+   * with everything inside, including files written by external commands.
+   * @returns {Error[]} Errors of the changes that could not be undone
+   */
+  rollback() {
+    const errors = [];
+
+    for (const { action, path: filePath, previous } of [...this.changes].reverse()) {
+      try {
+        switch (action) {
+          case 'create':
+          case 'symlink':
+            fs.rmSync(filePath, { force: true });
+            break;
+          case 'mkdir':
+            fs.rmSync(filePath, { recursive: true, force: true });
+            break;
+          case 'modify':
+          case 'delete':
+            fs.rmSync(filePath, { force: true });
+            if (previous?.link !== undefined) {
+              fs.symlinkSync(previous.link, filePath, 'dir');
+            } else if (previous) {
+              fs.writeFileSync(filePath, previous.content);
+            }
+            break;
+        }
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    const count = this.changes.length;
+    this.changes = [];
+    if (errors.length > 0) {
+      this.error(`Rollback incomplete: ${errors.length} of ${count} changes could not be undone`);
+      errors.forEach(error => this.error(`  ${error.message}`));
+    } else if (count > 0) {
+      this.log(`Rolled back ${count} changes`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Summarizes the recorded changes
+   * @param {string} rootDir - Root directory of the monorepo
+   * @returns {{created: string[], modified: string[]}} Files and symlinks relative to rootDir
+   */
+  getManifest(rootDir) {
+    const created = new Set();
+    const modified = new Set();
+
+    for (const { action, path: filePath } of this.changes) {
+      if (action === 'create' || action === 'symlink') {
+        created.add(filePath);
+      } else if (action === 'modify' && !created.has(filePath)) {
+        modified.add(filePath);
+      } else if (action === 'delete' && !created.delete(filePath)) {
+        modified.add(filePath);
+      }
+    }
+
+    return {
+      created: [...created].map(filePath => toRelativePath(rootDir, filePath)).sort(),
+      modified: [...modified].map(filePath => toRelativePath(rootDir, filePath)).sort()
+    };
+  }
+}
+
+export { ScaffoldContext };
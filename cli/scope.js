@@ -0,0 +1,154 @@
+/**
+ * Moves the packages of the monorepo from one npm scope to another
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  dependencySections,
+  escapeRegExp,
+  readJsonFile,
+  writeJsonFile,
+  renameKey,
+  getProjects,
+  replaceImportSpecifiers,
+  listSourceFiles,
+  removeWorkspaceLink
+} from './workspace.js';
+
+/**
+ * Name of the root package without its scope
+ */
+const rootPackageBaseName = 'monorepo';
+
+/**
+ * Moves a package name to another scope
+ * @param {string} packageName - Package name, e.g. "@monorepo/app"
+ * @param {string} oldScope - Current scope, e.g. "@monorepo"
+ * @param {string} newScope - New scope, e.g. "@acme"
+ * @returns {string|undefined} New package name or undefined if the package is not in the old scope
+ */
+function rescopePackageName(packageName, oldScope, newScope) {
+  return packageName.startsWith(`${oldScope}/`) ? newScope + packageName.slice(oldScope.length) : undefined;
+}
+
+/**
+ * Renames the dependencies on the rescoped packages in all dependency sections of a package.json
+ * @param {object} packageJson - Parsed package.json, updated in place
+ * @param {Map<string, string>} renames - New package names by old package names
+ * @returns {boolean} True if a dependency was renamed
+ */
+function renameDependencies(packageJson, renames) {
+  let modified = false;
+  for (const section of dependencySections) {
+    for (const [oldName, newName] of renames) {
+      if (packageJson[section]?.[oldName] !== undefined) {
+        packageJson[section] = renameKey(packageJson[section], oldName, newName);
+        modified = true;
+      }
+    }
+  }
+  return modified;
+}
+
+/**
+ * Replaces the rescoped package names in the commands of the root scripts, e.g. in
+ * "npm run build --workspace=@monorepo/app"
+ * @param {object} scripts - Root scripts, updated in place
+ * @param {Map<string, string>} renames - New package names by old package names
+ * @returns {boolean} True if a script was changed
+ */
+function renameScriptPackages(scripts, renames) {
+  let modified = false;
+  for (const [scriptName, command] of Object.entries(scripts)) {
+    let updated = command;
+    for (const [oldName, newName] of renames) {
+      const pattern = new RegExp(`(^|[\\s='"])${escapeRegExp(oldName)}(?=$|[\\s'"/])`, 'g');
+      updated = updated.replace(pattern, (match, prefix) => prefix + newName);
+    }
+    if (updated !== command) {
+      scripts[scriptName] = updated;
+      modified = true;
+    }
+  }
+  return modified;
+}
+
+/**
+ * Moves all workspace packages of the old scope and the root package to the new scope and updates
+ * the dependencies, the root scripts and the import specifiers that reference them
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} oldScope - Current scope of the packages
+ * @param {string} newScope - New scope of the packages
+ * @returns {{renames: Map<string, string>, updatedFiles: string[]}} Renamed packages and updated files relative to rootDir
+ */
+function rescopeMonorepo(rootDir, oldScope, newScope) {
+  const projects = getProjects(rootDir);
+  const renames = new Map();
+  for (const { packageName } of projects) {
+    const newName = rescopePackageName(packageName, oldScope, newScope);
+    if (newName) {
+      renames.set(packageName, newName);
+    }
+  }
+
+  const updatedFiles = [];
+  const relative = (filePath) => path.relative(rootDir, filePath);
+
+  // Names and dependencies of the projects
+  for (const { dir, packageName, packageJson } of projects) {
+    let modified = renameDependencies(packageJson, renames);
+    if (renames.has(packageName) && packageJson.name === packageName) {
+      packageJson.name = renames.get(packageName);
+      modified = true;
+    }
+    if (modified) {
+      writeJsonFile(path.join(dir, 'package.json'), packageJson);
+      updatedFiles.push(relative(path.join(dir, 'package.json')));
+    }
+  }
+
+  // Root package name, dependencies and scripts
+  const rootPackageJsonPath = path.join(rootDir, 'package.json');
+  const rootPackageJson = readJsonFile(rootPackageJsonPath);
+  let rootModified = renameDependencies(rootPackageJson, renames);
+  rootModified = renameScriptPackages(rootPackageJson.scripts ?? {}, renames) || rootModified;
+  if ([rootPackageBaseName, `${oldScope}/${rootPackageBaseName}`].includes(rootPackageJson.name)) {
+    const rootName = `${newScope}/${rootPackageBaseName}`;
+    rootModified = rootModified || rootPackageJson.name !== rootName;
+    rootPackageJson.name = rootName;
+  }
+  if (rootModified) {
+    writeJsonFile(rootPackageJsonPath, rootPackageJson);
+    updatedFiles.push(relative(rootPackageJsonPath));
+  }
+
+  // Imports of the rescoped packages ("@monorepo/app" or "@monorepo/app/...")
+  const replacer = (specifier) => {
+    for (const [oldName, newName] of renames) {
+      if (specifier === oldName || specifier.startsWith(`${oldName}/`)) {
+        return newName + specifier.slice(oldName.length);
+      }
+    }
+    return undefined;
+  };
+  for (const { dir } of projects) {
+    for (const filePath of listSourceFiles(dir)) {
+      const source = fs.readFileSync(filePath, 'utf8');
+      const updated = replaceImportSpecifiers(source, replacer);
+      if (updated !== source) {
+        fs.writeFileSync(filePath, updated);
+        updatedFiles.push(relative(filePath));
+      }
+    }
+  }
+
+  // npm links workspaces by package name, the links of the old names are stale now
+  for (const oldName of renames.keys()) {
+    removeWorkspaceLink(rootDir, oldName);
+  }
+
+  return { renames, updatedFiles };
+}
+
+export { rescopePackageName, rescopeMonorepo };
@@ -2,7 +2,27 @@ import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
 import os from 'os';
+import readline from 'readline';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import {
+  validateScope,
+  normalizeScope,
+  hasMonorepoSetting,
+  readMonorepoConfig,
+  updateMonorepoConfig,
+  getSharedLibraries,
+  getProjectSharedLibraries
+} from './monorepo-config.js';
+import { rescopeMonorepo } from './scope.js';
+import { getProjects } from './workspace.js';
+import { updateProjectReferences } from './project-references.js';
+import { packageManagerNames, getPackageManager, convertWorkspaceScripts, writeWorkspaceManifest } from './package-managers.js';
+import { ScaffoldContext } from './scaffold-context.js';
+import { getSharedCopyState, writeSharedCopy } from './shared-copy.js';
+
+// Ways the shared directory gets into the projects, see the sharedMode setting
+const sharedModes = ['symlink', 'copy'];
 
 // Check if script is running as administrator (Windows only)
 function isAdminWindows() {
@@ -15,14 +35,60 @@ function isAdminWindows() {
   }
 }
 
-// Create a symbolic link using only relative paths
-function createRelativeSymlink(targetPath, linkPath) {
+// Find out what is at the place of a link: "missing", "ok", "dangling", "wrong target" or "not a symlink"
+function getSymlinkState(targetPath, linkPath) {
+  const stats = fs.lstatSync(linkPath, { throwIfNoEntry: false });
+  if (!stats) return 'missing';
+  if (!stats.isSymbolicLink()) return 'not a symlink';
+
+  const linkTarget = path.resolve(path.dirname(linkPath), fs.readlinkSync(linkPath));
+  if (!fs.existsSync(linkTarget)) return 'dangling';
+  return fs.realpathSync(linkTarget) === fs.realpathSync(targetPath) ? 'ok' : 'wrong target';
+}
+
+// Move a directory or file that took the place of a link next to the src directory, where
+// the compiler doesn't pick it up: @shared.backup, @shared.backup-2 and so on
+function backupLinkPath(linkPath) {
+  const backupBase = path.join(path.dirname(path.dirname(linkPath)), `${path.basename(linkPath)}.backup`);
+  let backupPath = backupBase;
+  for (let index = 2; fs.existsSync(backupPath); index++) {
+    backupPath = `${backupBase}-${index}`;
+  }
+  fs.renameSync(linkPath, backupPath);
+  return backupPath;
+}
+
+// Create a symbolic link using only relative paths. An existing link is checked: a dangling one
+// or one that points elsewhere is replaced, a real directory (a copy left by an archive without
+// symlinks) is backed up and replaced unless keep is set. Returns the state the link was in
+function createRelativeSymlink(targetPath, linkPath, keep = false) {
   if (!fs.existsSync(targetPath)) {
     console.error(`Error: Target path does not exist: ${targetPath}`);
     process.exit(1);
   }
 
-  if (fs.existsSync(linkPath)) return; // If symlink already exists, do nothing
+  const state = getSymlinkState(targetPath, linkPath);
+  if (state === 'ok') return state;
+
+  if (state === 'dangling' || state === 'wrong target') {
+    console.log(`Replacing symlink (${state}): ${linkPath} -> ${fs.readlinkSync(linkPath)}`);
+    fs.unlinkSync(linkPath);
+  } else if (state === 'not a symlink' && ['ok', 'outdated'].includes(getSharedCopyState(targetPath, linkPath).state)) {
+    // A copy of the "copy" shared mode that wasn't edited holds nothing worth a backup
+    console.log(`Replacing shared copy: ${linkPath}`);
+    fs.rmSync(linkPath, { recursive: true });
+  } else if (state === 'not a symlink') {
+    if (keep) {
+      console.warn(`Warning: ${linkPath} is not a symlink, kept because of --keep`);
+      return state;
+    }
+    try {
+      console.log(`Backed up ${linkPath} (not a symlink) to ${backupLinkPath(linkPath)}`);
+    } catch (err) {
+      console.error(`Error: Failed to back up ${linkPath}: ${err.message}`);
+      process.exit(1);
+    }
+  }
 
   // Convert target path to relative, ensuring the symlink is always relative
   const relativeTarget = path.relative(path.dirname(linkPath), targetPath);
@@ -34,12 +100,79 @@ function createRelativeSymlink(targetPath, linkPath) {
     console.error(`Error: Failed to create symlink: ${err.message}`);
     process.exit(1);
   }
+  return state;
 }
 
-// Create symlinks to shared directory for all projects
-function createSharedSymlinks(rootDir) {
-  const projectsDir = path.join(rootDir, 'projects');
-  const sharedDir = path.join(rootDir, 'shared');
+// Copy the shared directory into a project for the "copy" shared mode. A link or an outdated copy
+// is replaced, a copy edited in the project is kept and reported, a directory that is not a copy
+// is backed up first unless keep is set. Returns the state the copy was in
+function createSharedCopy(sharedDir, copyDir, keep = false) {
+  const { state, editedFiles } = getSharedCopyState(sharedDir, copyDir);
+  if (state === 'ok') return state;
+
+  if (state === 'edited') {
+    console.warn(`Warning: ${copyDir} was edited locally (${editedFiles.join(', ')}), not overwritten; run "npm run sync -- --force" to replace it`);
+    return state;
+  }
+  if (state === 'not a copy') {
+    if (keep) {
+      console.warn(`Warning: ${copyDir} is not a copy of the shared directory, kept because of --keep`);
+      return state;
+    }
+    console.log(`Backed up ${copyDir} (not a copy) to ${backupLinkPath(copyDir)}`);
+  }
+
+  try {
+    writeSharedCopy(new ScaffoldContext(), sharedDir, copyDir);
+  } catch (err) {
+    console.error(`Error: Failed to copy the shared directory: ${err.message}`);
+    process.exit(1);
+  }
+  return state;
+}
+
+// Point the tsconfig.json of a project moved to another group depth to the root tsconfig.json again
+function updateTsConfigExtends(rootDir, packagePath) {
+  const tsConfigPath = path.join(packagePath, 'tsconfig.json');
+  let tsConfig;
+  try {
+    tsConfig = JSON.parse(fs.readFileSync(tsConfigPath, 'utf8'));
+  } catch (err) {
+    return; // No tsconfig.json, or one with comments that was not created by the CLI
+  }
+
+  const extendsRoot = typeof tsConfig.extends === 'string' && /^(\.\.\/)+tsconfig\.json$/.test(tsConfig.extends);
+  if (!extendsRoot || fs.existsSync(path.resolve(packagePath, tsConfig.extends))) {
+    return;
+  }
+
+  tsConfig.extends = path.relative(packagePath, path.join(rootDir, 'tsconfig.json')).replace(/\\/g, '/');
+  fs.writeFileSync(tsConfigPath, JSON.stringify(tsConfig, null, 2));
+  console.log(`Updated ${tsConfigPath}: extends ${tsConfig.extends}`);
+}
+
+// Remove the link (or copy) of a shared root a project doesn't use, a real directory or an edited
+// copy is only reported
+function removeUnusedSharedLink(sharedDir, linkPath) {
+  const stats = fs.lstatSync(linkPath, { throwIfNoEntry: false });
+  if (!stats) return;
+
+  if (stats.isSymbolicLink()) {
+    fs.unlinkSync(linkPath);
+    console.log(`Removed symlink of an unused shared library: ${linkPath}`);
+  } else if (['ok', 'outdated'].includes(getSharedCopyState(sharedDir, linkPath).state)) {
+    fs.rmSync(linkPath, { recursive: true });
+    console.log(`Removed copy of an unused shared library: ${linkPath}`);
+  } else {
+    console.warn(`Warning: ${linkPath} belongs to a shared library the project doesn't use, remove it by hand`);
+  }
+}
+
+// Create symlinks to the shared libraries (or copies of them) for all projects and report the state
+// of the existing ones. The links of the libraries a project doesn't use are removed
+function createSharedSymlinks(rootDir, config, keep) {
+  const projectsDir = path.join(rootDir, config.projectsDir);
+  const libraries = getSharedLibraries(config);
 
   // Check if projects directory exists
   if (!fs.existsSync(projectsDir) || !fs.statSync(projectsDir).isDirectory()) {
@@ -47,40 +180,123 @@ function createSharedSymlinks(rootDir) {
     process.exit(1);
   }
 
-  // Check if shared directory exists
-  if (!fs.existsSync(sharedDir)) {
-    console.error(`Error: Missing shared directory at ${sharedDir}`);
-    process.exit(1);
+  // Check if shared directories exist
+  for (const library of libraries) {
+    if (!fs.existsSync(path.join(rootDir, library.dir))) {
+      console.error(`Error: Missing shared directory at ${path.join(rootDir, library.dir)}`);
+      process.exit(1);
+    }
   }
 
-  // Get all package directories (excluding shared)
-  fs.readdirSync(projectsDir, { withFileTypes: true })
-    .filter(dirent => dirent.isDirectory())
-    .forEach(dirent => {
-      const packagePath = path.join(projectsDir, dirent.name);
-      const srcDir = path.join(packagePath, 'src');
-      const sharedLink = path.join(srcDir, '@shared');
+  // Links the projects may have: the one of the whole shared directory and one per library
+  const knownLinks = new Map([[config.sharedSymlink, config.sharedDir], ...libraries.map(library => [library.symlink, library.dir])]);
 
-      // Skip if no package.json exists
-      if (!fs.existsSync(path.join(packagePath, 'package.json'))) {
-        return;
-      }
+  // Get the package directories of all workspace groups, at any depth
+  const states = {};
+  getProjects(rootDir)
+    .forEach(({ dir: packagePath, packageJson }) => {
+      const srcDir = path.join(packagePath, 'src');
+      const usedLibraries = getProjectSharedLibraries(config, packageJson);
 
       // Create ./src if it does not exist
       if (!fs.existsSync(srcDir)) {
         fs.mkdirSync(srcDir, { recursive: true });
       }
 
-      // Create a relative symlink to the shared directory
-      createRelativeSymlink(sharedDir, sharedLink);
+      // Create a relative symlink to every shared library the project uses, or a copy of it
+      for (const library of usedLibraries) {
+        const libraryDir = path.join(rootDir, library.dir);
+        const sharedLink = path.join(srcDir, library.symlink);
+        const state = config.sharedMode === 'copy'
+          ? createSharedCopy(libraryDir, sharedLink, keep)
+          : createRelativeSymlink(libraryDir, sharedLink, keep);
+        states[state] = (states[state] ?? 0) + 1;
+      }
+
+      for (const [linkName, dir] of knownLinks) {
+        if (!usedLibraries.some(library => library.symlink === linkName)) {
+          removeUnusedSharedLink(path.join(rootDir, dir), path.join(srcDir, linkName));
+        }
+      }
+      updateTsConfigExtends(rootDir, packagePath);
     });
+
+  const summary = Object.entries(states).map(([state, count]) => `${count} ${state}`).join(', ');
+  const linkNames = libraries.map(library => library.symlink).join(', ');
+  console.log(`Checked ${linkNames} ${config.sharedMode === 'copy' ? 'copies' : 'symlinks'}: ${summary || 'no projects'}`);
+}
+
+// Ask a question on the terminal
+function ask(query) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(query, answer => {
+    rl.close();
+    resolve(answer.trim());
+  }));
+}
+
+// Choose the npm scope of the packages: from --scope, or asked on the first interactive setup
+async function configureScope(rootDir, scopeArg) {
+  const currentScope = readMonorepoConfig(rootDir).scope;
+  let scope = scopeArg && normalizeScope(scopeArg);
+
+  if (scope === undefined) {
+    if (hasMonorepoSetting(rootDir, 'scope') || !process.stdin.isTTY) {
+      return;
+    }
+    while (scope === undefined) {
+      const answer = await ask(`npm scope of the packages (${currentScope}): `);
+      scope = answer ? normalizeScope(answer) : currentScope;
+      const error = validateScope(scope);
+      if (error) {
+        console.error(error);
+        scope = undefined;
+      }
+    }
+  } else {
+    const error = validateScope(scope);
+    if (error) {
+      console.error(`Error: ${error}`);
+      process.exit(2);
+    }
+  }
+
+  // Existing packages move to the chosen scope, so that new projects and old ones match
+  if (scope !== currentScope) {
+    const { renames } = rescopeMonorepo(rootDir, currentScope, scope);
+    renames.forEach((newName, oldName) => console.log(`Renamed package: ${oldName} -> ${newName}`));
+  }
+  updateMonorepoConfig(rootDir, { scope });
+  console.log(`Using npm scope: ${scope}`);
+}
+
+// Register the workspaces and the root scripts the way the package manager expects them.
+// The workspace globs of the projects directory come from the configuration, other globs
+// are kept while their directories exist
+function updateWorkspaces(rootDir, config, manager) {
+  const rootPackageJsonPath = path.join(rootDir, 'package.json');
+  const rootPackageJson = JSON.parse(fs.readFileSync(rootPackageJsonPath, 'utf8'));
+  const globs = [
+    ...config.workspaces,
+    ...(rootPackageJson.workspaces ?? [])
+      .filter(glob => !config.workspaces.includes(glob) && !glob.startsWith(`${config.projectsDir}/`))
+      .filter(glob => fs.existsSync(path.join(rootDir, glob.replace(/\/\*+$/, ''))))
+  ];
+
+  if (convertWorkspaceScripts(rootPackageJson.scripts ?? {}, manager)) {
+    fs.writeFileSync(rootPackageJsonPath, JSON.stringify(rootPackageJson, null, 2));
+    console.log(`Updated root scripts for ${manager.name}`);
+  }
+  for (const file of writeWorkspaceManifest(rootDir, manager, globs)) {
+    console.log(`Updated workspaces in ${file}: ${globs.join(', ')}`);
+  }
 }
 
 // Install dependencies for the entire monorepo
-function installDependencies(rootDir) {
+function installDependencies(rootDir, manager) {
   try {
-    console.log('Installing dependencies for the entire monorepo...');
-    execSync('npm install', { cwd: rootDir, stdio: 'inherit' });
+    console.log(`Installing dependencies for the entire monorepo with ${manager.name}...`);
+    execSync(manager.install, { cwd: rootDir, stdio: 'inherit' });
     console.log('Successfully installed dependencies');
     return true;
   } catch (err) {
@@ -90,7 +306,30 @@ function installDependencies(rootDir) {
 }
 
 // Main script logic
-function main() {
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        'scope': { type: 'string' },
+        'package-manager': { type: 'string' },
+        'shared-mode': { type: 'string' },
+        'keep': { type: 'boolean' }
+      },
+      strict: true
+    }));
+    if (args['package-manager'] !== undefined && !packageManagerNames.includes(args['package-manager'])) {
+      throw new Error(`Invalid package manager "${args['package-manager']}", valid ones: ${packageManagerNames.join(', ')}`);
+    }
+    if (args['shared-mode'] !== undefined && !sharedModes.includes(args['shared-mode'])) {
+      throw new Error(`Invalid shared mode "${args['shared-mode']}", valid ones: ${sharedModes.join(', ')}`);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error(`Usage: setup [--scope <scope>] [--package-manager <${packageManagerNames.join('|')}>] [--shared-mode <${sharedModes.join('|')}>] [--keep]`);
+    process.exit(2);
+  }
+
   // Ensure the script is run as administrator on Windows
   if (os.platform() === 'win32' && !isAdminWindows()) {
     console.error('Error: This script must be run as Administrator on Windows.');
@@ -116,25 +355,44 @@ function main() {
     process.exit(1);
   }
 
+  // The chosen package manager is saved, so that the other commands use it as well
+  if (args['package-manager'] !== undefined) {
+    updateMonorepoConfig(rootDir, { packageManager: args['package-manager'] });
+  }
+  if (args['shared-mode'] !== undefined) {
+    updateMonorepoConfig(rootDir, { sharedMode: args['shared-mode'] });
+  }
+
+  // Directory names, scripts and the package manager come from monorepo.config.json
+  const config = readMonorepoConfig(rootDir);
+  const manager = getPackageManager(rootDir);
+
   // Check if projects directory exists
-  const projectsDir = path.join(rootDir, 'projects');
+  const projectsDir = path.join(rootDir, config.projectsDir);
   if (!fs.existsSync(projectsDir) || !fs.statSync(projectsDir).isDirectory()) {
     console.error(`Error: projects directory not found: ${projectsDir}`);
     process.exit(1);
   }
 
-  // Create symlinks to shared directory for all projects
-  createSharedSymlinks(rootDir);
+  // Choose the npm scope before the packages are installed under their names
+  await configureScope(rootDir, args.scope);
+
+  // Create symlinks to the shared libraries for all projects
+  createSharedSymlinks(rootDir, config, Boolean(args.keep));
+
+  // TypeScript project references follow the dependencies between the projects
+  updateProjectReferences(rootDir).updatedFiles.forEach(file => console.log(`Updated references in ${file}`));
+
+  // The package manager links the projects it finds through the workspaces
+  updateWorkspaces(rootDir, config, manager);
 
   // Install dependencies for the entire monorepo
-  if (!installDependencies(rootDir)) {
+  if (!installDependencies(rootDir, manager)) {
     process.exit(1);
   }
 }
 
-try {
-  main();
-} catch (err) {
+main().catch(err => {
   console.error('Unhandled error:', err);
   process.exit(1);
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * This script verifies or regenerates the index.ts barrels of the shared directory,
+ * so that every module is re-exported up to shared/index.ts and nothing else is.
+ * With several shared libraries, the barrels of every library end at its own index.ts.
+ *
+ * Usage: npm run shared:barrels -- --check | --write | --conflicts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { planBarrels, findBarrelConflicts } from './shared-modules.js';
+import { readMonorepoConfig, getSharedLibraries } from './monorepo-config.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run shared:barrels -- --check | --write | --conflicts
+
+Options:
+  --check      Report barrels with missing exports or exports of nonexistent modules
+  --write      Rebuild all barrels in sorted order, keeping hand-written lines
+  --conflicts  Report names that a barrel exports from more than one module
+  -h, --help   Show this help
+
+Exit codes: 0 - barrels are up to date or were rebuilt, 1 - check failed, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, check: boolean, write: boolean, conflicts: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        'check': { type: 'boolean' },
+        'write': { type: 'boolean' },
+        'conflicts': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  const modes = ['check', 'write', 'conflicts'].filter(mode => values[mode]);
+  if (!values['help'] && modes.length !== 1) {
+    exitWithUsageError('Specify one of --check, --write or --conflicts');
+  }
+
+  return {
+    help: Boolean(values['help']),
+    check: Boolean(values['check']),
+    write: Boolean(values['write']),
+    conflicts: Boolean(values['conflicts'])
+  };
+}
+
+/**
+ * Prints the problems of the barrels
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object[]} plans - Barrel plans from planBarrels
+ * @returns {number} Number of problems that fail the check
+ */
+function reportProblems(rootDir, plans) {
+  let problems = 0;
+
+  for (const { indexPath, current, expected, missing, stale, staleHandWritten } of plans) {
+    const relPath = path.relative(rootDir, indexPath);
+    if (current === null && expected !== null) {
+      console.log(chalk.red(`${relPath}: barrel is missing`));
+      problems++;
+    } else {
+      missing.forEach(specifier => console.log(chalk.red(`${relPath}: missing export of '${specifier}'`)));
+      problems += missing.length;
+    }
+
+    stale.forEach(specifier => console.log(chalk.red(`${relPath}: exports nonexistent module '${specifier}'`)));
+    staleHandWritten.forEach(specifier => console.log(chalk.red(`${relPath}: hand-written line references nonexistent module '${specifier}'`)));
+    problems += stale.length + staleHandWritten.length;
+  }
+
+  return problems;
+}
+
+/**
+ * Writes the expected content of the barrels and deletes the barrels that export nothing
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object[]} plans - Barrel plans from planBarrels
+ * @returns {number} Number of changed files
+ */
+function writeBarrels(rootDir, plans) {
+  let changed = 0;
+
+  for (const { indexPath, current, expected, staleHandWritten } of plans) {
+    const relPath = path.relative(rootDir, indexPath);
+    if (expected === current) {
+      continue;
+    }
+
+    if (expected === null) {
+      fs.unlinkSync(indexPath);
+      console.log(chalk.blue(`Deleted ${relPath}`));
+    } else {
+      fs.writeFileSync(indexPath, expected);
+      console.log(chalk.blue(`${current === null ? 'Created' : 'Updated'} ${relPath}`));
+    }
+    changed++;
+
+    staleHandWritten.forEach(specifier => console.warn(chalk.yellow(
+      `Warning: ${relPath}: hand-written line references nonexistent module '${specifier}', fix it manually`
+    )));
+  }
+
+  return changed;
+}
+
+/**
+ * Prints the names exported more than once by a barrel
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} sharedDir - Path to the shared directory
+ * @returns {number} Number of conflicting names
+ */
+function reportConflicts(rootDir, sharedDir) {
+  const conflicts = findBarrelConflicts(sharedDir);
+  for (const { indexPath, name, sources } of conflicts) {
+    console.log(chalk.red(`${path.relative(rootDir, indexPath)}: "${name}" is exported by ${sources.join(', ')}`));
+  }
+  return conflicts.length;
+}
+
+/**
+ * Main function of the shared:barrels command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const sharedDirs = getSharedLibraries(readMonorepoConfig(rootDir)).map(library => path.join(rootDir, library.dir));
+  for (const sharedDir of sharedDirs) {
+    if (!fs.existsSync(sharedDir)) {
+      throw new Error(`Shared directory not found: ${sharedDir}`);
+    }
+  }
+
+  if (args.conflicts) {
+    const conflicts = sharedDirs.reduce((total, sharedDir) => total + reportConflicts(rootDir, sharedDir), 0);
+    if (conflicts > 0) {
+      console.log('');
+      console.log(chalk.red(`❌ ${conflicts} conflicting export name(s) found. Use named or namespaced re-exports for them.`));
+      exit(1);
+    }
+    console.log(chalk.green('✅ No conflicting export names in the shared barrels'));
+    return;
+  }
+
+  const plans = sharedDirs.flatMap(sharedDir => planBarrels(sharedDir));
+
+  if (args.check) {
+    const problems = reportProblems(rootDir, plans);
+    if (problems > 0) {
+      console.log('');
+      console.log(chalk.red(`❌ ${problems} barrel problem(s) found. Run "npm run shared:barrels -- --write" to fix them.`));
+      exit(1);
+    }
+    console.log(chalk.green('✅ All shared barrels are up to date'));
+    return;
+  }
+
+  const changed = writeBarrels(rootDir, plans);
+  console.log(chalk.green(changed > 0 ? `✅ Rebuilt ${changed} barrel(s)` : '✅ All shared barrels are up to date'));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
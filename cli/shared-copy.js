@@ -0,0 +1,169 @@
+/**
+ * Copies of the shared directory for the "copy" shared mode, used where the symlink in src isn't
+ * followed (Docker build contexts, Metro, serverless packagers). Every copy has a marker file with
+ * the hashes of the copied files, so that a copy edited in the project is never overwritten silently.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { SharedCopyEditedError } from './errors.js';
+
+/**
+ * Name of the marker file at the top of every copy
+ */
+const sharedCopyMarkerName = '.shared-copy.json';
+
+/**
+ * Directories of the shared directory that are not copied
+ */
+const ignoredDirs = ['node_modules', '.git'];
+
+/**
+ * Lists the files of a directory with the hashes of their contents, without the marker file
+ * @param {string} dir - Directory to scan
+ * @returns {{checksum: string, files: Object<string, string>}} Hashes by relative path with forward
+ *   slashes, sorted, and a checksum of all of them
+ */
+function hashSharedFiles(dir) {
+  const files = {};
+  const scan = (currentDir) => {
+    for (const dirent of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const entryPath = path.join(currentDir, dirent.name);
+      if (dirent.isDirectory()) {
+        if (!ignoredDirs.includes(dirent.name)) {
+          scan(entryPath);
+        }
+      } else if (dirent.isFile() && !(currentDir === dir && dirent.name === sharedCopyMarkerName)) {
+        files[path.relative(dir, entryPath).replace(/\\/g, '/')] = crypto.createHash('sha256').update(fs.readFileSync(entryPath)).digest('hex');
+      }
+    }
+  };
+  scan(dir);
+
+  const sorted = Object.fromEntries(Object.entries(files).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  const checksum = crypto.createHash('sha256');
+  Object.entries(sorted).forEach(([file, hash]) => checksum.update(`${file}\0${hash}\n`));
+  return { checksum: checksum.digest('hex'), files: sorted };
+}
+
+/**
+ * Reads the marker file of a copy
+ * @param {string} copyDir - Directory of the copy
+ * @returns {{source: string, checksum: string, files: Object<string, string>}|null} The marker, null if
+ *   there is none or it cannot be parsed
+ */
+function readSharedCopyMarker(copyDir) {
+  try {
+    const marker = JSON.parse(fs.readFileSync(path.join(copyDir, sharedCopyMarkerName), 'utf8'));
+    return typeof marker?.checksum === 'string' && marker.files ? marker : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds out what is at the place of a copy of the shared directory
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} copyDir - Directory of the copy, src/@shared of the project
+ * @returns {{state: string, editedFiles?: string[]}} State: "missing", "symlink", "not a copy" (no marker),
+ *   "edited" (with the files that differ from the copied ones), "outdated" (shared changed since the copy)
+ *   or "ok"
+ */
+function getSharedCopyState(sharedDir, copyDir) {
+  const stats = fs.lstatSync(copyDir, { throwIfNoEntry: false });
+  if (!stats) {
+    return { state: 'missing' };
+  }
+  if (stats.isSymbolicLink()) {
+    return { state: 'symlink' };
+  }
+  const marker = stats.isDirectory() ? readSharedCopyMarker(copyDir) : null;
+  if (!marker) {
+    return { state: 'not a copy' };
+  }
+
+  const current = hashSharedFiles(copyDir);
+  if (current.checksum !== marker.checksum) {
+    const editedFiles = [...new Set([...Object.keys(marker.files), ...Object.keys(current.files)])]
+      .filter(file => marker.files[file] !== current.files[file])
+      .sort();
+    return { state: 'edited', editedFiles };
+  }
+  return { state: hashSharedFiles(sharedDir).checksum === marker.checksum ? 'ok' : 'outdated' };
+}
+
+/**
+ * Copies the shared directory into a project, replacing a symlink or an older copy at its place,
+ * and writes the marker file. Only the files that changed are written, files that are not in the
+ * shared directory are removed.
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} copyDir - Directory of the copy, src/@shared of the project
+ */
+function writeSharedCopy(ctx, sharedDir, copyDir) {
+  const source = hashSharedFiles(sharedDir);
+  const stats = fs.lstatSync(copyDir, { throwIfNoEntry: false });
+  let existingFiles = {};
+  if (stats?.isDirectory()) {
+    existingFiles = hashSharedFiles(copyDir).files;
+  } else if (stats) {
+    ctx.unlink(copyDir);
+  }
+
+  // Files removed from shared are removed from the copy, their empty directories are kept
+  for (const file of Object.keys(existingFiles).filter(file => !source.files[file])) {
+    ctx.unlink(path.join(copyDir, file));
+  }
+  for (const [file, hash] of Object.entries(source.files)) {
+    if (existingFiles[file] === hash) {
+      continue;
+    }
+    const filePath = path.join(copyDir, file);
+    if (!ctx.exists(path.dirname(filePath))) {
+      ctx.mkdir(path.dirname(filePath));
+    }
+    ctx.writeFile(filePath, fs.readFileSync(path.join(sharedDir, file)));
+  }
+
+  const marker = {
+    source: path.relative(path.dirname(copyDir), sharedDir).replace(/\\/g, '/'),
+    checksum: source.checksum,
+    files: source.files
+  };
+  if (!ctx.exists(copyDir)) {
+    ctx.mkdir(copyDir);
+  }
+  ctx.writeFile(path.join(copyDir, sharedCopyMarkerName), JSON.stringify(marker, null, 2));
+  ctx.log(`Copied ${Object.keys(source.files).length} shared files: ${copyDir} <- ${marker.source}`);
+}
+
+/**
+ * Brings a copy of the shared directory up to date
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} copyDir - Directory of the copy, src/@shared of the project
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Overwrite a copy edited locally or a directory that is not a copy
+ * @returns {{state: string, editedFiles?: string[]}} State of the copy before the sync, see getSharedCopyState
+ * @throws {SharedCopyEditedError} If the copy was edited locally or is not a copy, and force is not set
+ */
+function syncSharedCopy(ctx, sharedDir, copyDir, { force = false } = {}) {
+  const result = getSharedCopyState(sharedDir, copyDir);
+  if (result.state === 'ok') {
+    return result;
+  }
+  if (!force && (result.state === 'edited' || result.state === 'not a copy')) {
+    throw new SharedCopyEditedError(copyDir, result.editedFiles ?? null);
+  }
+  writeSharedCopy(ctx, sharedDir, copyDir);
+  return result;
+}
+
+export {
+  sharedCopyMarkerName,
+  hashSharedFiles,
+  getSharedCopyState,
+  writeSharedCopy,
+  syncSharedCopy
+};
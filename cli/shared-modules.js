@@ -0,0 +1,582 @@
+/**
+ * Helpers for the modules of the shared directory and the chain of index.ts barrels
+ * that re-exports them up to shared/index.ts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { escapeRegExp } from './workspace.js';
+import { ExportConflictError } from './errors.js';
+
+/**
+ * Validates a shared module name against the shared directory layout rules
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} moduleName - Module path relative to the shared directory
+ * @returns {string} Error message or empty string if the name is valid
+ */
+function validateModuleName(sharedDir, moduleName) {
+  if (!moduleName) {
+    return 'Module name cannot be empty';
+  }
+
+  if (moduleName.startsWith('/')) {
+    return 'Module name cannot start with "/"';
+  }
+
+  if (moduleName.includes('\\')) {
+    return 'Use "/" instead of "\\" for directory separators';
+  }
+
+  if (!moduleName.endsWith('.ts')) {
+    return 'Module file must end with ".ts" extension';
+  }
+
+  // Check intermediate directories
+  const parts = moduleName.split('/');
+  for (let i = 0; i < parts.length - 1; i++) {
+    const part = parts[i];
+    if (part.startsWith('.') || part.endsWith('.ts')) {
+      return `Directory "${part}" cannot start with "." or end with ".ts"`;
+    }
+  }
+
+  // Check if module already exists
+  const modulePath = path.join(sharedDir, moduleName);
+  if (fs.existsSync(modulePath)) {
+    return `Module "${moduleName}" already exists at "${modulePath}"`;
+  }
+
+  return '';
+}
+
+/**
+ * Calculates the path a barrel uses to import a module or a subdirectory
+ * @param {string} baseDir - Directory of the barrel
+ * @param {string} childPath - Module file or subdirectory
+ * @returns {string} Relative import path without the .ts extension, e.g. "./math"
+ */
+function getBarrelImportPath(baseDir, childPath) {
+  return ('./' + path.relative(baseDir, childPath).replace(/\\/g, '/')).replace(/\.ts$/, '');
+}
+
+/**
+ * Builds the barrel line that re-exports a module or a subdirectory
+ * @param {string} baseDir - Directory of the barrel
+ * @param {string} childPath - Module file or subdirectory
+ * @returns {string} Export statement, e.g. "export * from './math';"
+ */
+function getBarrelExport(baseDir, childPath) {
+  return `export * from '${getBarrelImportPath(baseDir, childPath)}';`;
+}
+
+/**
+ * Ways to re-export a module from a barrel: "export * from", "export { a, b } from"
+ * without the conflicting names, or "export * as name from"
+ */
+const reexportStyles = ['star', 'named', 'namespace'];
+
+/**
+ * Removes comments from TypeScript source, so that commented out exports are not parsed
+ * @param {string} source - Source code
+ * @returns {string} Source code without comments
+ */
+function stripComments(source) {
+  return source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:'"`\\])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Parses the statements of a module that export names
+ * @param {string} source - Source code of the module
+ * @param {string} baseDir - Directory of the module, used to resolve "export * from" statements
+ * @param {Set<string>} [ignoredFiles] - Files whose exports are not counted, e.g. a module being moved
+ * @param {Set<string>} [visited] - Files already parsed up the "export *" chain
+ * @returns {{specifier: string|null, names: Set<string>, star: boolean}[]} Exporting statements:
+ *   the re-exported specifier (null for local declarations) and the names each one exports
+ */
+function parseExports(source, baseDir, ignoredFiles = new Set(), visited = new Set()) {
+  const code = stripComments(source);
+  const entries = [];
+  const local = new Set();
+  const identifier = '[A-Za-z_$][\\w$]*';
+
+  // Re-exports of an ignored file are left out whatever their style, so that a moved module
+  // doesn't reach the barrels above through a named or namespaced line of its old barrel
+  const isIgnored = (specifier) => specifier.startsWith('.') && ignoredFiles.has(resolveModuleFile(baseDir, specifier));
+
+  // Declarations: export const a, export function b, export class C, export type T, ...
+  const declarationPattern = new RegExp(
+    `\\bexport\\s+(?:declare\\s+)?(?:abstract\\s+)?(?:async\\s+)?` +
+    `(?:function\\s*\\*?|class|interface|type|enum|const\\s+enum|namespace|module|const|let|var)\\s+(${identifier})`,
+    'g'
+  );
+  for (const match of code.matchAll(declarationPattern)) {
+    local.add(match[1]);
+  }
+
+  // Destructuring: export const { a, b: c } = ...
+  for (const match of code.matchAll(/\bexport\s+(?:const|let|var)\s+[{[]([^}\]]*)[}\]]/g)) {
+    match[1].split(',')
+      .map(part => part.split('=')[0].split(':').pop().replace(/\.\.\./, '').trim())
+      .filter(Boolean)
+      .forEach(name => local.add(name));
+  }
+
+  // Export lists: export { a, b as c } [from '...']
+  for (const match of code.matchAll(/\bexport\s+(?:type\s+)?\{([^}]*)\}(?:\s*from\s*['"]([^'"]+)['"])?/g)) {
+    const names = new Set(match[1].split(',')
+      .map(part => part.trim().replace(/^type\s+/, '').split(/\s+as\s+/).pop().trim())
+      .filter(name => name && name !== 'default'));
+    if (match[2]) {
+      if (!isIgnored(match[2])) {
+        entries.push({ specifier: match[2], names, star: false });
+      }
+    } else {
+      names.forEach(name => local.add(name));
+    }
+  }
+
+  // Namespaces: export * as ns from '...'
+  for (const match of code.matchAll(new RegExp(`\\bexport\\s+(?:type\\s+)?\\*\\s+as\\s+(${identifier})\\s+from\\s*['"]([^'"]+)['"]`, 'g'))) {
+    if (!isIgnored(match[2])) {
+      entries.push({ specifier: match[2], names: new Set([match[1]]), star: false });
+    }
+  }
+
+  // Everything of another module: export * from '...'
+  for (const match of code.matchAll(/\bexport\s+(?:type\s+)?\*\s+from\s*['"]([^'"]+)['"]/g)) {
+    const filePath = match[1].startsWith('.') ? resolveModuleFile(baseDir, match[1]) : null;
+    const names = filePath ? getExportedNames(filePath, ignoredFiles, visited) : new Set();
+    entries.push({ specifier: match[1], names, star: true });
+  }
+
+  if (local.size > 0) {
+    entries.unshift({ specifier: null, names: local, star: false });
+  }
+  return entries;
+}
+
+/**
+ * Collects the names a module exports, following "export * from" statements
+ * @param {string} filePath - Module file
+ * @param {Set<string>} [ignoredFiles] - Files whose exports are not counted
+ * @param {Set<string>} [visited] - Files already parsed up the "export *" chain
+ * @returns {Set<string>} Exported names without the default export
+ */
+function getExportedNames(filePath, ignoredFiles = new Set(), visited = new Set()) {
+  const names = new Set();
+  if (ignoredFiles.has(filePath) || visited.has(filePath) || !fs.existsSync(filePath)) {
+    return names;
+  }
+
+  visited.add(filePath);
+  const entries = parseExports(fs.readFileSync(filePath, 'utf8'), path.dirname(filePath), ignoredFiles, visited);
+  entries.forEach(entry => entry.names.forEach(name => names.add(name)));
+  visited.delete(filePath);
+  return names;
+}
+
+/**
+ * Finds the names that a barrel entry would export a second time
+ * @param {object[]} entries - Other exporting statements of the barrel from parseExports
+ * @param {Set<string>} names - Names exported by the entry
+ * @returns {{name: string, sources: string[]}[]} Conflicting names with the entries that already export them
+ */
+function findConflicts(entries, names) {
+  const conflicts = [];
+  for (const name of [...names].sort(compareStrings)) {
+    const sources = entries
+      .filter(entry => entry.names.has(name))
+      .map(entry => entry.specifier ?? 'local declaration');
+    if (sources.length > 0) {
+      conflicts.push({ name, sources: [...new Set(sources)] });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Derives the namespace of a namespaced re-export from the module file name
+ * @param {string} importPath - Import path of the module, e.g. "./date-utils"
+ * @returns {string} Identifier, e.g. "dateUtils"
+ */
+function getNamespaceName(importPath) {
+  const name = path.basename(importPath)
+    .replace(/[^A-Za-z0-9_$]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''));
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Plans adding a module to the index.ts barrels of every directory from the module up to
+ * the shared directory. Nothing is written: the names the module brings in are compared
+ * with the names exported by the other entries of each barrel up the chain. If they
+ * collide, chooseStyle decides how the module is re-exported from its own barrel: "named"
+ * leaves out every conflicting name and "namespace" exports only the namespace, so the
+ * barrels above don't get the conflicting names either.
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} modulePath - Absolute path of the module file
+ * @param {object} [options]
+ * @param {Set<string>} [options.names] - Names exported by the module, parsed from the file by default
+ * @param {Set<string>} [options.ignoredFiles] - Files whose exports are not counted, e.g. the old location of a moved module
+ * @param {function(object): Promise<string|null>} [options.chooseStyle] - Receives { importPath, conflicts }
+ *   and resolves to one of reexportStyles, or null to abort
+ * @returns {Promise<{indexPath: string, importPath: string, statement: string|null, create: boolean}[]>} Barrel updates
+ * @throws {ExportConflictError} If there are conflicts and chooseStyle is missing or resolves to null,
+ *   or resolves to "named" while every name of the module conflicts
+ */
+async function planBarrelUpdates(sharedDir, modulePath, { names = undefined, ignoredFiles = new Set(), chooseStyle = undefined } = {}) {
+  const moduleNames = names ?? getExportedNames(modulePath, ignoredFiles);
+  const levels = [];
+  const conflicts = [];
+
+  // Walk up the chain as if the module was re-exported with "export *" everywhere
+  let childNames = moduleNames;
+  let childPath = modulePath;
+  while (true) {
+    const baseDir = path.dirname(childPath);
+    const indexPath = path.join(baseDir, 'index.ts');
+
+    // Don't add self-reference
+    if (indexPath !== childPath) {
+      const exists = fs.existsSync(indexPath);
+      const importPath = getBarrelImportPath(baseDir, childPath);
+      const entries = exists ? parseExports(fs.readFileSync(indexPath, 'utf8'), baseDir, ignoredFiles) : [];
+      const isChildEntry = (entry) => entry.specifier?.replace(/\.[cm]?js$/, '') === importPath;
+      const existingEntry = entries.find(isChildEntry);
+
+      findConflicts(entries.filter(entry => !isChildEntry(entry)), childNames)
+        .forEach(conflict => conflicts.push({ indexPath, ...conflict }));
+      levels.push({ indexPath, importPath, exists, wired: Boolean(existingEntry) });
+
+      // An existing named or namespaced re-export of a directory doesn't pass the new names up
+      if (existingEntry && !existingEntry.star) {
+        break;
+      }
+    }
+
+    // Stop if we've reached the shared directory
+    if (path.relative(sharedDir, baseDir) === '') {
+      break;
+    }
+
+    // Next iteration
+    childPath = baseDir;
+  }
+
+  let style = 'star';
+  if (conflicts.length > 0) {
+    style = chooseStyle ? await chooseStyle({ importPath: levels[0].importPath, conflicts }) : null;
+    if (!reexportStyles.includes(style)) {
+      throw new ExportConflictError(levels[0].importPath, conflicts);
+    }
+  }
+
+  // A named re-export without any name would leave the module out of its barrel
+  const conflicting = new Set(conflicts.map(conflict => conflict.name));
+  const exportedNames = [...moduleNames].filter(name => !conflicting.has(name)).sort(compareStrings);
+  if (style === 'named' && exportedNames.length === 0) {
+    throw new ExportConflictError(levels[0].importPath, conflicts, style);
+  }
+
+  return levels.map(({ indexPath, importPath, exists, wired }, index) => {
+    let statement = wired ? null : `export * from '${importPath}';`;
+    if (index === 0 && style === 'namespace') {
+      statement = `export * as ${getNamespaceName(importPath)} from '${importPath}';`;
+    } else if (index === 0 && style === 'named') {
+      statement = `export { ${exportedNames.join(', ')} } from '${importPath}';`;
+    }
+    return { indexPath, importPath, statement, create: !exists };
+  });
+}
+
+/**
+ * Writes the barrel updates planned by planBarrelUpdates, creating missing barrels
+ * @param {object[]} updates - Planned updates
+ * @returns {string[]} Absolute paths of the created barrels
+ */
+function applyBarrelUpdates(updates) {
+  const createdFiles = [];
+
+  for (const { indexPath, importPath, statement, create } of updates) {
+    // Create index file if it doesn't exist
+    if (create && !fs.existsSync(indexPath)) {
+      fs.writeFileSync(indexPath, '');
+      createdFiles.push(indexPath);
+      console.log(chalk.blue(`Created index: ${indexPath}`));
+    }
+
+    const indexContent = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf8') : '';
+
+    // Add the export if it doesn't already exist
+    if (statement && !indexContent.includes(statement)) {
+      const newContent = indexContent
+        ? indexContent.trim() + '\n' + statement + '\n'
+        : statement + '\n';
+
+      fs.writeFileSync(indexPath, newContent);
+      console.log(chalk.blue(`Updated index: ${indexPath} with export for ${importPath}`));
+    }
+  }
+
+  return createdFiles;
+}
+
+/**
+ * Finds the names exported more than once by the existing barrels of the shared directory
+ * @param {string} sharedDir - Path to the shared directory
+ * @returns {{indexPath: string, name: string, sources: string[]}[]} Conflicting names with the entries exporting them
+ */
+function findBarrelConflicts(sharedDir) {
+  const conflicts = [];
+
+  const scan = (dir) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => compareStrings(a.name, b.name))) {
+      if (dirent.isDirectory() && !dirent.name.startsWith('.') && dirent.name !== 'node_modules') {
+        scan(path.join(dir, dirent.name));
+      }
+    }
+
+    const indexPath = path.join(dir, 'index.ts');
+    if (!fs.existsSync(indexPath)) {
+      return;
+    }
+
+    const entries = parseExports(fs.readFileSync(indexPath, 'utf8'), dir);
+    const sourcesByName = new Map();
+    for (const entry of entries) {
+      for (const name of entry.names) {
+        sourcesByName.set(name, new Set([...(sourcesByName.get(name) || []), entry.specifier ?? 'local declaration']));
+      }
+    }
+
+    [...sourcesByName]
+      .filter(([, sources]) => sources.size > 1)
+      .sort(([a], [b]) => compareStrings(a, b))
+      .forEach(([name, sources]) => conflicts.push({ indexPath, name, sources: [...sources] }));
+  };
+
+  scan(sharedDir);
+  return conflicts;
+}
+
+/**
+ * Checks whether a barrel specifier points at a module or a subdirectory, which may no
+ * longer exist, e.g. "./date", "./date.js" or "./time/index" for "time"
+ * @param {string} baseDir - Directory of the barrel
+ * @param {string} specifier - Re-exported specifier
+ * @param {string} childPath - Module file or subdirectory
+ * @returns {boolean} True if the specifier resolves to the child
+ */
+function isReexportOf(baseDir, specifier, childPath) {
+  if (!specifier.startsWith('.')) {
+    return false;
+  }
+  const target = path.resolve(baseDir, specifier.replace(/\.([cm]?js|tsx?)$/, '')).replace(/[\\/]index$/, '');
+  return target === childPath.replace(/\.tsx?$/, '');
+}
+
+/**
+ * Removes a module from the index.ts barrels of its parent directories, with any re-export
+ * style ("export *", "export { ... }" or "export * as"). A barrel left
+ * without content is deleted together with its directory (if nothing else is inside),
+ * and the export of that directory is removed from the next barrel up the chain.
+ * shared/index.ts itself is never deleted.
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} modulePath - Absolute path of the module file
+ * @returns {{updated: string[], deleted: string[]}} Absolute paths of the changed barrels and deleted entries
+ */
+function removeFromBarrels(sharedDir, modulePath) {
+  const result = { updated: [], deleted: [] };
+  let childPath = modulePath;
+
+  while (path.relative(sharedDir, childPath) !== '') {
+    const baseDir = path.dirname(childPath);
+    const indexPath = path.join(baseDir, 'index.ts');
+    if (!fs.existsSync(indexPath) || indexPath === childPath) {
+      break;
+    }
+
+    // Every re-export of the child goes, whatever its style, quotes or extension
+    const isChildLine = (line) => parseExports(line, baseDir)
+      .some(entry => entry.specifier && isReexportOf(baseDir, entry.specifier, childPath));
+    const lines = fs.readFileSync(indexPath, 'utf8').split(/\r?\n/);
+    const remainingLines = lines.filter(line => !isChildLine(line));
+    if (remainingLines.length === lines.length) {
+      break;
+    }
+
+    const content = remainingLines.join('\n').trim();
+    const isSharedRoot = path.relative(sharedDir, baseDir) === '';
+    if (content || isSharedRoot) {
+      fs.writeFileSync(indexPath, content ? content + '\n' : '');
+      result.updated.push(indexPath);
+      break;
+    }
+
+    // The barrel exported nothing else: drop it and unwire the directory one level up
+    fs.unlinkSync(indexPath);
+    result.deleted.push(indexPath);
+    if (fs.readdirSync(baseDir).length === 0) {
+      fs.rmdirSync(baseDir);
+      result.deleted.push(baseDir);
+    }
+    childPath = baseDir;
+  }
+
+  return result;
+}
+
+/**
+ * Splits an import specifier that points into the shared directory, either through
+ * the src/@shared symlink ("./@shared/utils/math") or the "@shared/..." path alias
+ * @param {string} specifier - Import specifier
+ * @param {string} [symlinkName] - Name of the symlink to the shared directory
+ * @returns {{prefix: string, modulePath: string, extension: string}|null} Parts of the specifier,
+ *   modulePath is relative to the shared directory and has no extension
+ */
+function parseSharedSpecifier(specifier, symlinkName = '@shared') {
+  const match = new RegExp(`^((?:\\.{1,2}/)*${escapeRegExp(symlinkName)}/)(.+?)(\\.[cm]?[jt]s)?$`).exec(specifier);
+  return match ? { prefix: match[1], modulePath: match[2], extension: match[3] || '' } : null;
+}
+
+/**
+ * Resolves an import specifier of a project that points into the shared directory, including
+ * the imports of the root barrel through the bare symlink ("./@shared")
+ * @param {string} sharedDir - Path to the shared directory
+ * @param {string} specifier - Import specifier
+ * @param {string} symlinkName - Name of the symlink to the shared directory
+ * @returns {string|null|undefined} Path to the imported file, null if it doesn't exist,
+ *   undefined if the specifier doesn't point into the shared directory
+ */
+function resolveSharedImport(sharedDir, specifier, symlinkName) {
+  if (new RegExp(`^(\\.{1,2}/)*${escapeRegExp(symlinkName)}/?$`).test(specifier)) {
+    return resolveModuleFile(sharedDir, '.');
+  }
+  const parts = parseSharedSpecifier(specifier, symlinkName);
+  return parts ? resolveModuleFile(sharedDir, `./${parts.modulePath}${parts.extension}`) : undefined;
+}
+
+/**
+ * Line of a barrel that is generated and kept in sync by the CLI
+ */
+const managedExportPattern = /^export \* from ['"](\.\/[^'"]+)['"];?\s*$/;
+
+/**
+ * Files of the shared directory that are not modules and never appear in barrels
+ */
+const nonModulePattern = /(^index\.tsx?$|\.d\.ts$|\.(test|spec)\.tsx?$)/;
+
+/**
+ * Compares strings by code points, so the order doesn't depend on the locale
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Sort order
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Resolves a relative import to a TypeScript file the way the compiler does
+ * @param {string} baseDir - Directory of the importing file
+ * @param {string} specifier - Relative import specifier
+ * @returns {string|null} Path of the module file or of the directory barrel, null if there is none
+ */
+function resolveModuleFile(baseDir, specifier) {
+  const target = path.resolve(baseDir, specifier.replace(/\.[cm]?js$/, ''));
+  if (/\.tsx?$/.test(target) && fs.existsSync(target)) {
+    return target;
+  }
+  const candidates = ['.ts', '.tsx', '.d.ts', '/index.ts', '/index.tsx'].map(suffix => target + suffix);
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Computes the expected content of every index.ts barrel of the shared directory. Each
+ * barrel re-exports its modules and the subdirectories that have a barrel of their own,
+ * sorted by path. Lines other than plain "export * from './x'" are hand-written and are
+ * kept as they are; a module that a hand-written line already re-exports (e.g. with
+ * "export { a } from './x'") doesn't get an "export *" line.
+ * @param {string} sharedDir - Path to the shared directory
+ * @returns {{indexPath: string, current: string|null, expected: string|null, missing: string[], stale: string[], staleHandWritten: string[]}[]}
+ *   Barrels with their current and expected content (null if the file doesn't or shouldn't exist),
+ *   the exports that are missing and the managed and hand-written exports of nonexistent modules
+ */
+function planBarrels(sharedDir) {
+  const plans = [];
+
+  const planDirectory = (dir) => {
+    const dirents = fs.readdirSync(dir, { withFileTypes: true });
+    const children = [];
+
+    for (const dirent of dirents) {
+      const entryPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory() && !dirent.name.startsWith('.') && dirent.name !== 'node_modules') {
+        if (planDirectory(entryPath)) {
+          children.push(getBarrelImportPath(dir, entryPath));
+        }
+      } else if (dirent.isFile() && /\.tsx?$/.test(dirent.name) && !nonModulePattern.test(dirent.name)) {
+        children.push(getBarrelImportPath(dir, entryPath).replace(/\.tsx$/, ''));
+      }
+    }
+
+    const indexPath = path.join(dir, 'index.ts');
+    const current = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf8') : null;
+    const lines = current === null ? [] : current.split(/\r?\n/);
+
+    // Hand-written lines without the surrounding blank lines
+    const handWritten = lines.filter(line => !managedExportPattern.test(line));
+    while (handWritten.length > 0 && handWritten[0].trim() === '') handWritten.shift();
+    while (handWritten.length > 0 && handWritten[handWritten.length - 1].trim() === '') handWritten.pop();
+
+    const stripExtension = (specifier) => specifier.replace(/\.[cm]?js$/, '');
+    const managed = lines.map(line => managedExportPattern.exec(line)?.[1]).filter(Boolean);
+    const handWrittenSpecifiers = [...handWritten.join('\n').matchAll(/\bfrom\s*['"](\.[^'"]+)['"]/g)]
+      .map(match => match[1]);
+    const covered = new Set(handWrittenSpecifiers.map(specifier => stripExtension(specifier)));
+
+    const exports = children.filter(child => !covered.has(child)).sort(compareStrings);
+    const isMissing = (specifier) => !children.includes(stripExtension(specifier)) && resolveModuleFile(dir, specifier) === null;
+
+    // Keep the "./x.js" form of existing lines for ESM resolution
+    const existingForms = new Map(managed.map(specifier => [stripExtension(specifier), specifier]));
+    const exportLines = exports.map(child => `export * from '${existingForms.get(child) || child}';`);
+
+    const sections = [handWritten.join('\n'), exportLines.join('\n')].filter(Boolean);
+    const isSharedRoot = path.relative(sharedDir, dir) === '';
+    const expected = sections.length > 0 ? sections.join('\n\n') + '\n' : (isSharedRoot ? '' : null);
+
+    plans.push({
+      indexPath,
+      current,
+      expected,
+      missing: exports.filter(child => !existingForms.has(child)),
+      stale: managed.filter(isMissing),
+      staleHandWritten: handWrittenSpecifiers.filter(isMissing)
+    });
+
+    return expected !== null;
+  };
+
+  planDirectory(sharedDir);
+  return plans.sort((a, b) => compareStrings(a.indexPath, b.indexPath));
+}
+
+export {
+  validateModuleName,
+  getBarrelImportPath,
+  getBarrelExport,
+  reexportStyles,
+  parseExports,
+  getExportedNames,
+  planBarrelUpdates,
+  applyBarrelUpdates,
+  findBarrelConflicts,
+  removeFromBarrels,
+  planBarrels,
+  parseSharedSpecifier,
+  resolveSharedImport,
+  resolveModuleFile
+};
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * This script refreshes the copies of the shared directory in the projects when the shared mode
+ * is "copy". A copy edited in the project is not overwritten unless --force is given.
+ *
+ * Usage: npm run sync -- [<project>...] [--check] [--force]
+ */
+
+import path from 'path';
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { getProjects } from './workspace.js';
+import { readMonorepoConfig, getProjectSharedLibraries } from './monorepo-config.js';
+import { ScaffoldContext } from './scaffold-context.js';
+import { getSharedCopyState, syncSharedCopy } from './shared-copy.js';
+import { SharedCopyEditedError } from './errors.js';
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run sync -- [<project>...] [--check] [--force]
+
+Copies the shared directory (or each shared library a project uses) into the src directory of every
+project again when "sharedMode" is "copy" in monorepo.config.json. Every copy has a marker file with the
+checksums of the copied files: a copy that was edited in the project is reported and not overwritten.
+
+Options:
+  <project>   Sync only these projects, default: all projects
+  --check     Only report the copies that are outdated or edited, don't change them
+  --force     Overwrite the copies that were edited in the project
+  -h, --help  Show this help
+
+Exit codes: 0 - the copies are up to date, 1 - some copies are outdated or edited, 2 - invalid arguments`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, projects: string[], check: boolean, force: boolean}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'check': { type: 'boolean' },
+        'force': { type: 'boolean' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  if (values['check'] && values['force']) {
+    exitWithUsageError('--check and --force cannot be used together');
+  }
+
+  return {
+    help: Boolean(values['help']),
+    projects: positionals,
+    check: Boolean(values['check']),
+    force: Boolean(values['force'])
+  };
+}
+
+/**
+ * Main function of the sync command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const config = readMonorepoConfig(rootDir);
+  const projects = getProjects(rootDir);
+  for (const name of args.projects) {
+    if (!projects.some(project => project.name === name)) {
+      exitWithUsageError(`Project "${name}" not found, available: ${projects.map(project => project.name).join(', ')}`);
+    }
+  }
+  if (config.sharedMode !== 'copy') {
+    console.log(chalk.gray(`The shared mode is "${config.sharedMode}", the projects link to ${config.sharedDir} and need no sync`));
+    return;
+  }
+
+  const selected = args.projects.length > 0 ? projects.filter(project => args.projects.includes(project.name)) : projects;
+  const logger = {
+    log: (...messages) => console.log(chalk.gray(`  ${messages.join(' ')}`)),
+    warn: (...messages) => console.warn(chalk.yellow(`  ${messages.join(' ')}`)),
+    error: (...messages) => console.error(chalk.red(`  ${messages.join(' ')}`))
+  };
+  const ctx = new ScaffoldContext({ logger });
+  let copyCount = 0;
+  let problemCount = 0;
+
+  // Every project has a copy of each shared library it uses
+  for (const project of selected) {
+    for (const library of getProjectSharedLibraries(config, project.packageJson)) {
+      const sharedDir = path.join(rootDir, library.dir);
+      const copyDir = path.join(project.dir, 'src', library.symlink);
+      const name = `${project.name}/${library.symlink}`;
+      copyCount++;
+
+      const { state, editedFiles } = getSharedCopyState(sharedDir, copyDir);
+      if (state === 'ok') {
+        console.log(`${chalk.green('✔')} ${name} is up to date`);
+        continue;
+      }
+      if (args.check) {
+        problemCount++;
+        console.log(`${chalk.red('✖')} ${name}: ${state}${editedFiles ? ` (${editedFiles.join(', ')})` : ''}`);
+        continue;
+      }
+
+      try {
+        syncSharedCopy(ctx, sharedDir, copyDir, { force: args.force });
+        console.log(`${chalk.green('✔')} ${name} synced (was ${state})`);
+      } catch (error) {
+        if (!(error instanceof SharedCopyEditedError)) {
+          console.error(chalk.red(`❌ Sync failed: ${error.message}`));
+          ctx.rollback();
+          exit(1);
+        }
+        problemCount++;
+        console.log(`${chalk.red('✖')} ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  console.log('');
+  if (problemCount === 0) {
+    console.log(chalk.green(`✅ ${copyCount} cop${copyCount === 1 ? 'y is' : 'ies are'} up to date`));
+    return;
+  }
+  console.log(chalk.red(`❌ ${problemCount} cop${problemCount === 1 ? 'y' : 'ies'} ${args.check ? 'out of sync' : 'not synced'}`));
+  console.log(chalk.yellow(args.check ? 'Run "npm run sync" to refresh them' : 'Run "npm run sync -- --force" to overwrite the local edits'));
+  exit(1);
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
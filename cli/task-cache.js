@@ -0,0 +1,339 @@
+/**
+ * Local cache of the results of project scripts under .cache/tasks. A result is keyed by a hash
+ * of everything the script reads: the files of the project, the shared modules it imports, the
+ * projects it depends on and the root configs. It keeps the output of the script and the output
+ * directories of the project, so that a cache hit replays the output and restores the directories.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { collectImportSpecifiers } from './workspace.js';
+import { resolveSharedImport, resolveModuleFile } from './shared-modules.js';
+import { getWorkspaceDependencies } from './project-references.js';
+import { configFileName, getSharedLibraries } from './monorepo-config.js';
+
+/**
+ * Directory of the cache, relative to the root of the monorepo
+ */
+const cacheDirName = path.join('.cache', 'tasks');
+
+/**
+ * Root files every project script depends on, monorepo.config.json defines the cached
+ * outputs and the default scripts
+ */
+const rootConfigFiles = ['tsconfig.json', 'jest.config.js', 'eslint.config.js', configFileName];
+
+/**
+ * Directories of a project that are never inputs of its scripts, besides the cached outputs
+ */
+const ignoredInputDirs = ['node_modules', '.git', 'coverage'];
+
+/**
+ * Source files the imports of the shared code are collected from
+ */
+const sourceFilePattern = /\.([cm]?[jt]sx?|vue|svelte)$/;
+
+/**
+ * Returns the cache directory of the monorepo
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {string} Path to the cache directory
+ */
+function getCacheDir(rootDir) {
+  return path.join(rootDir, cacheDirName);
+}
+
+/**
+ * Computes the SHA-256 hash of a file
+ * @param {string} filePath - Path to the file
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Lists every file of a project directory that its scripts may read: sources, styles, assets,
+ * HTML entry points and configs. Symlinks are not followed, so the shared links are left out.
+ * @param {string} dir - Directory to scan
+ * @param {string[]} excludedPaths - Absolute paths of the output directories and of the shared copies
+ * @returns {string[]} Absolute paths of the files
+ */
+function listInputFiles(dir, excludedPaths) {
+  const result = [];
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, dirent.name);
+    if (excludedPaths.includes(entryPath)) {
+      continue;
+    }
+    if (dirent.isDirectory()) {
+      if (!ignoredInputDirs.includes(dirent.name)) {
+        result.push(...listInputFiles(entryPath, excludedPaths));
+      }
+    } else if (dirent.isFile()) {
+      result.push(entryPath);
+    }
+  }
+  return result;
+}
+
+/**
+ * Collects the shared modules a project imports through the symlinks of the shared libraries,
+ * together with the shared modules they import in turn
+ * @param {string[]} sourceFiles - Source files of the project
+ * @param {{dir: string, symlink: string}[]} libraries - Shared roots with absolute directories
+ * @returns {string[]} Absolute paths of the shared modules
+ */
+function collectSharedFiles(sourceFiles, libraries) {
+  const sharedFiles = new Set();
+  const pending = [];
+
+  for (const filePath of sourceFiles) {
+    for (const specifier of collectImportSpecifiers(filePath)) {
+      for (const { dir, symlink } of libraries) {
+        const resolved = resolveSharedImport(dir, specifier, symlink);
+        if (resolved && !sharedFiles.has(resolved)) {
+          sharedFiles.add(resolved);
+          pending.push(resolved);
+        }
+      }
+    }
+  }
+
+  while (pending.length > 0) {
+    const modulePath = pending.pop();
+    for (const specifier of collectImportSpecifiers(modulePath).filter(specifier => specifier.startsWith('.'))) {
+      const resolved = resolveModuleFile(path.dirname(modulePath), specifier);
+      if (resolved && !sharedFiles.has(resolved)) {
+        sharedFiles.add(resolved);
+        pending.push(resolved);
+      }
+    }
+  }
+
+  return [...sharedFiles];
+}
+
+/**
+ * Computes the hashes of the inputs of projects: all their files but the outputs, the shared
+ * modules they import, the root configs and lockfiles, and the inputs of the projects they
+ * depend on. The hashes don't depend on the script, see getTaskHash.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {object[]} projects - All projects from getProjects
+ * @param {object} config - Monorepo configuration from readMonorepoConfig
+ * @param {string[]} lockfiles - Lockfiles of the package manager
+ * @returns {Map<string, string>} Hashes by project name
+ */
+function computeInputHashes(rootDir, projects, config, lockfiles) {
+  const libraries = getSharedLibraries(config).map(library => ({ ...library, dir: path.join(rootDir, library.dir) }));
+  const rootFiles = [...rootConfigFiles, ...lockfiles]
+    .map(file => path.join(rootDir, file))
+    .filter(filePath => fs.existsSync(filePath));
+  const outputDirs = Object.values(config.cache.outputs).flat().map(output => output.split('/').join(path.sep));
+  const hashes = new Map();
+
+  const computeHash = (project, chain) => {
+    if (hashes.has(project.name)) {
+      return hashes.get(project.name);
+    }
+    // sortProjects reports dependency cycles, here they only end the recursion
+    if (chain.includes(project)) {
+      return '';
+    }
+
+    // Output directories are restored from the cache, they are not inputs. The shared code
+    // counts only with the modules the project imports: from the shared libraries through the
+    // links, or from the copies in the "copy" shared mode, since the project builds from them.
+    const projectLibraries = libraries.map(library => (config.sharedMode === 'copy'
+      ? { ...library, dir: path.join(project.dir, 'src', library.symlink) }
+      : library));
+    const excludedPaths = [
+      ...outputDirs.map(output => path.join(project.dir, output)),
+      ...libraries.map(library => path.join(project.dir, 'src', library.symlink))
+    ];
+    const inputFiles = listInputFiles(project.dir, excludedPaths);
+    const sourceFiles = inputFiles.filter(filePath => sourceFilePattern.test(filePath));
+    const files = [...inputFiles, ...collectSharedFiles(sourceFiles, projectLibraries), ...rootFiles]
+      .map(filePath => path.relative(rootDir, filePath).replace(/\\/g, '/'))
+      .sort();
+
+    const hash = crypto.createHash('sha256');
+    [...new Set(files)].forEach(file => hash.update(`${file}\0${hashFile(path.join(rootDir, file))}\n`));
+    for (const dependency of getWorkspaceDependencies(project, projects)) {
+      hash.update(`${dependency.packageName}\0${computeHash(dependency, [...chain, project])}\n`);
+    }
+
+    hashes.set(project.name, hash.digest('hex'));
+    return hashes.get(project.name);
+  };
+
+  projects.forEach(project => computeHash(project, []));
+  return hashes;
+}
+
+/**
+ * Computes the cache key of a script of a project
+ * @param {object} project - Project from getProjects
+ * @param {string} script - Script name
+ * @param {string} inputHash - Hash of the project inputs from computeInputHashes
+ * @returns {string} Hex digest
+ */
+function getTaskHash(project, script, inputHash) {
+  return crypto.createHash('sha256')
+    .update(`${project.packageName}\0${script}\0${project.packageJson.scripts?.[script] ?? ''}\0${inputHash}`)
+    .digest('hex');
+}
+
+/**
+ * Computes the size of a file or directory
+ * @param {string} entryPath - Path to the file or directory
+ * @returns {number} Size in bytes
+ */
+function getSize(entryPath) {
+  const stats = fs.lstatSync(entryPath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+  return fs.readdirSync(entryPath).reduce((total, name) => total + getSize(path.join(entryPath, name)), 0);
+}
+
+/**
+ * Lists the cached results
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {{hash: string, dir: string, project: string, script: string, size: number, lastUsed: Date}[]}
+ *   Cached results, the least recently used first
+ */
+function listCacheEntries(rootDir) {
+  const cacheDir = getCacheDir(rootDir);
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const dirent of fs.readdirSync(cacheDir, { withFileTypes: true })) {
+    const dir = path.join(cacheDir, dirent.name);
+    const metaPath = path.join(dir, 'meta.json');
+    if (!dirent.isDirectory() || !fs.existsSync(metaPath)) {
+      continue;
+    }
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    entries.push({ hash: dirent.name, dir, project: meta.project, script: meta.script, size: meta.size, lastUsed: fs.statSync(metaPath).mtime });
+  }
+
+  return entries.sort((a, b) => a.lastUsed - b.lastUsed);
+}
+
+/**
+ * Looks up a cached result and marks it as recently used
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} hash - Cache key from getTaskHash
+ * @returns {{dir: string, output: string}|null} Directory and script output of the result, null on a cache miss
+ */
+function readCacheEntry(rootDir, hash) {
+  const dir = path.join(getCacheDir(rootDir), hash);
+  const metaPath = path.join(dir, 'meta.json');
+  if (!fs.existsSync(metaPath)) {
+    return null;
+  }
+
+  const now = new Date();
+  fs.utimesSync(metaPath, now, now);
+  return { dir, output: fs.readFileSync(path.join(dir, 'output.log'), 'utf8') };
+}
+
+/**
+ * Replaces the output directories of a project with the ones of a cached result
+ * @param {{dir: string}} entry - Cached result from readCacheEntry
+ * @param {object} project - Project from getProjects
+ * @param {string[]} outputs - Output directories relative to the project
+ */
+function restoreCacheEntry(entry, project, outputs) {
+  for (const output of outputs) {
+    const cachedPath = path.join(entry.dir, 'outputs', output);
+    if (fs.existsSync(cachedPath)) {
+      fs.rmSync(path.join(project.dir, output), { recursive: true, force: true });
+      fs.cpSync(cachedPath, path.join(project.dir, output), { recursive: true });
+    }
+  }
+}
+
+/**
+ * Stores the result of a successful script. The result is written to a temporary directory
+ * first, so that an interrupted run never leaves a partial result behind.
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} hash - Cache key from getTaskHash
+ * @param {object} project - Project from getProjects
+ * @param {string} script - Script name
+ * @param {string} output - Output of the script
+ * @param {string[]} outputs - Output directories relative to the project
+ */
+function writeCacheEntry(rootDir, hash, project, script, output, outputs) {
+  const dir = path.join(getCacheDir(rootDir), hash);
+  const tempDir = `${dir}.tmp-${process.pid}`;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  fs.mkdirSync(tempDir, { recursive: true });
+
+  fs.writeFileSync(path.join(tempDir, 'output.log'), output);
+  for (const outputDir of outputs) {
+    const projectPath = path.join(project.dir, outputDir);
+    if (fs.existsSync(projectPath)) {
+      fs.cpSync(projectPath, path.join(tempDir, 'outputs', outputDir), { recursive: true });
+    }
+  }
+  const meta = { project: project.name, script, createdAt: new Date().toISOString(), size: getSize(tempDir) };
+  fs.writeFileSync(path.join(tempDir, 'meta.json'), JSON.stringify(meta, null, 2));
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.renameSync(tempDir, dir);
+}
+
+/**
+ * Removes the least recently used results until the cache fits its size limit
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {number} maxSize - Size limit in megabytes
+ * @returns {number} Number of removed results
+ */
+function pruneCache(rootDir, maxSize) {
+  const entries = listCacheEntries(rootDir);
+  let size = entries.reduce((total, entry) => total + entry.size, 0);
+  let removed = 0;
+
+  for (const entry of entries) {
+    if (size <= maxSize * 1024 * 1024) {
+      break;
+    }
+    fs.rmSync(entry.dir, { recursive: true, force: true });
+    size -= entry.size;
+    removed++;
+  }
+
+  return removed;
+}
+
+/**
+ * Removes all cached results, or the results of some projects
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string[]} [projectNames] - Names of the projects, all projects when empty
+ * @returns {{count: number, size: number}} Number and size in bytes of the removed results
+ */
+function cleanCache(rootDir, projectNames = []) {
+  const entries = listCacheEntries(rootDir)
+    .filter(entry => projectNames.length === 0 || projectNames.includes(entry.project));
+  entries.forEach(entry => fs.rmSync(entry.dir, { recursive: true, force: true }));
+  if (projectNames.length === 0) {
+    fs.rmSync(getCacheDir(rootDir), { recursive: true, force: true });
+  }
+  return { count: entries.length, size: entries.reduce((total, entry) => total + entry.size, 0) };
+}
+
+export {
+  cacheDirName,
+  computeInputHashes,
+  getTaskHash,
+  listCacheEntries,
+  readCacheEntry,
+  restoreCacheEntry,
+  writeCacheEntry,
+  pruneCache,
+  cleanCache
+};
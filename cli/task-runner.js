@@ -0,0 +1,336 @@
+/**
+ * Runs a script in workspace projects concurrently, starting a project only after the projects
+ * it depends on have finished. Every output line is prefixed with the project name. The results
+ * of the scripts listed in the cache settings are taken from the task cache when the inputs of a
+ * project haven't changed.
+ */
+
+import os from 'os';
+import chalk from 'chalk';
+import { spawn } from 'child_process';
+import { exit } from 'process';
+import { getProjects } from './workspace.js';
+import { readMonorepoConfig } from './monorepo-config.js';
+import { getPackageManager } from './package-managers.js';
+import { getWorkspaceDependencies } from './project-references.js';
+import { computeInputHashes, getTaskHash, readCacheEntry, restoreCacheEntry, writeCacheEntry, pruneCache } from './task-cache.js';
+
+/**
+ * Number of scripts run at the same time by default
+ */
+const defaultConcurrency = os.availableParallelism?.() ?? os.cpus().length;
+
+/**
+ * Colors of the project prefixes, assigned in the order of the projects
+ */
+const prefixColors = [chalk.cyan, chalk.magenta, chalk.yellow, chalk.green, chalk.blue];
+
+/**
+ * Statuses of a project that don't let the projects depending on it start
+ */
+const unsuccessfulStatuses = ['failed', 'blocked', 'cancelled'];
+
+/**
+ * Formats a duration
+ * @param {number} duration - Duration in milliseconds
+ * @returns {string} Duration in seconds, e.g. "1.2s"
+ */
+function formatDuration(duration) {
+  return `${(duration / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Creates the output prefixes of projects: their names padded to the same width, each in its own color
+ * @param {object[]} projects - Projects from getProjects
+ * @returns {Map<object, string>} Prefixes of the projects
+ */
+function createProjectPrefixes(projects) {
+  const width = Math.max(0, ...projects.map(project => project.name.length));
+  return new Map(projects.map((project, index) =>
+    [project, prefixColors[index % prefixColors.length](`${project.name.padEnd(width)} │ `)]));
+}
+
+/**
+ * Creates a writer that prefixes every line written to a stream. Incomplete lines are kept
+ * until they are completed or flushed, so that lines of concurrent scripts don't mix.
+ * @param {NodeJS.WritableStream} stream - Stream to write to
+ * @param {string} prefix - Prefix of every line
+ * @returns {{write: function(string): void, flush: function(): void}} Line writer
+ */
+function createLineWriter(stream, prefix) {
+  let pending = '';
+  return {
+    write(text) {
+      const lines = (pending + text).split('\n');
+      pending = lines.pop();
+      lines.forEach(line => stream.write(`${prefix}${line}\n`));
+    },
+    flush() {
+      if (pending) {
+        stream.write(`${prefix}${pending}\n`);
+        pending = '';
+      }
+    }
+  };
+}
+
+/**
+ * Stops a command with everything it started. On POSIX the command leads its own process
+ * group, on Windows taskkill stops the process tree.
+ * @param {import('child_process').ChildProcess} child - Process of the command
+ */
+function killProcessTree(child) {
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore' });
+    } else {
+      process.kill(-child.pid, 'SIGTERM');
+    }
+  } catch (error) {
+    // The process has already exited
+  }
+}
+
+/**
+ * Runs a shell command, writing its output with a prefix and collecting it
+ * @param {string} command - Command to run
+ * @param {string} cwd - Working directory
+ * @param {string} prefix - Prefix of the output lines
+ * @returns {{promise: Promise<{exitCode: number, output: string}>, cancel: function(): void}} Exit code
+ *   and combined output of the command once it exits, and a function that stops it
+ */
+function runCommand(command, cwd, prefix) {
+  // The output goes through a pipe, keep the colors when it ends up in a terminal anyway
+  const env = process.stdout.isTTY && process.env.FORCE_COLOR === undefined ? { ...process.env, FORCE_COLOR: '1' } : process.env;
+  const child = spawn(command, { cwd, env, shell: true, stdio: ['ignore', 'pipe', 'pipe'], detached: process.platform !== 'win32' });
+  const stdout = createLineWriter(process.stdout, prefix);
+  const stderr = createLineWriter(process.stderr, prefix);
+
+  const promise = new Promise(resolve => {
+    const chunks = [];
+    child.stdout.on('data', chunk => {
+      chunks.push(chunk);
+      stdout.write(chunk.toString());
+    });
+    child.stderr.on('data', chunk => {
+      chunks.push(chunk);
+      stderr.write(chunk.toString());
+    });
+    child.on('error', error => {
+      chunks.push(Buffer.from(`${error.message}\n`));
+    });
+    child.on('close', code => {
+      stdout.flush();
+      stderr.flush();
+      resolve({ exitCode: code ?? 1, output: Buffer.concat(chunks).toString() });
+    });
+  });
+
+  return { promise, cancel: () => killProcessTree(child) };
+}
+
+/**
+ * Command line options of the commands that run scripts with runTasks, for util.parseArgs
+ */
+const taskRunnerOptions = {
+  'concurrency': { type: 'string' },
+  'bail': { type: 'boolean' },
+  'continue': { type: 'boolean' }
+};
+
+/**
+ * Reads the runTasks options from parsed command line values
+ * @param {object} values - Values from util.parseArgs with taskRunnerOptions
+ * @returns {{concurrency: number, continueOnError: boolean}} Options for runTasks
+ * @throws {Error} If the values are invalid
+ */
+function getTaskRunnerOptions(values) {
+  if (values['bail'] && values['continue']) {
+    throw new Error('--bail cannot be used with --continue');
+  }
+  const concurrency = values['concurrency'] === undefined ? defaultConcurrency : Number(values['concurrency']);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got "${values['concurrency']}"`);
+  }
+  return { concurrency, continueOnError: Boolean(values['continue']) };
+}
+
+/**
+ * Runs a script in projects, up to `concurrency` at a time. A project starts when the projects
+ * it depends on have passed, were restored from the cache or don't have the script. After a
+ * failure the running scripts are stopped and no new ones start, unless `continueOnError` is set:
+ * then only the projects that depend on the failed one are left out.
+ * @param {object} options - Run options
+ * @param {string} options.rootDir - Root directory of the monorepo
+ * @param {string} options.script - Script name
+ * @param {object[]} options.projects - Projects from getProjects, in dependency order
+ * @param {boolean} [options.cache=true] - Use the task cache if the script is one of the cached scripts
+ * @param {number} [options.concurrency] - Maximum number of scripts running at the same time, the number of CPUs by default
+ * @param {boolean} [options.continueOnError=false] - Keep running the projects that don't depend on a failed one
+ * @returns {Promise<{project: object, status: ('passed'|'cached'|'failed'|'skipped'|'blocked'|'cancelled'), duration: number}[]>}
+ *   Results in the order of the projects, durations are in milliseconds
+ */
+async function runTasks({ rootDir, script, projects, cache = true, concurrency = defaultConcurrency, continueOnError = false }) {
+  const config = readMonorepoConfig(rootDir);
+  const manager = getPackageManager(rootDir);
+  const cacheable = cache && config.cache.scripts.includes(script);
+  const inputHashes = cacheable ? computeInputHashes(rootDir, getProjects(rootDir), config, manager.lockfiles) : null;
+  const outputs = config.cache.outputs[script] ?? [];
+
+  const prefixes = createProjectPrefixes(projects);
+  const dependencies = new Map(projects.map(project => [project, getWorkspaceDependencies(project, projects)]));
+
+  const runProject = async (project, running) => {
+    const prefix = prefixes.get(project);
+    const start = Date.now();
+    const hash = cacheable ? getTaskHash(project, script, inputHashes.get(project.name)) : null;
+    const entry = hash && readCacheEntry(rootDir, hash);
+    if (entry) {
+      console.log(`${prefix}${chalk.gray(`${script} restored from the cache`)}`);
+      restoreCacheEntry(entry, project, outputs);
+      const writer = createLineWriter(process.stdout, prefix);
+      writer.write(entry.output);
+      writer.flush();
+      return 'cached';
+    }
+
+    console.log(`${prefix}${chalk.bold(`▶ ${script}`)}`);
+    const command = runCommand(manager.runInWorkspace(script, project.packageName), rootDir, prefix);
+    running.set(project, command);
+    const { exitCode, output } = await command.promise;
+    if (command.cancelled) {
+      return 'cancelled';
+    }
+    if (exitCode !== 0) {
+      console.error(`${prefix}${chalk.red(`✖ ${script} failed with exit code ${exitCode} after ${formatDuration(Date.now() - start)}`)}`);
+      return 'failed';
+    }
+    if (hash) {
+      writeCacheEntry(rootDir, hash, project, script, output, outputs);
+    }
+    console.log(`${prefix}${chalk.green(`✔ ${script} passed in ${formatDuration(Date.now() - start)}`)}`);
+    return 'passed';
+  };
+
+  const results = new Map();
+  const running = new Map();
+  let pending = [...projects];
+  let stopped = false;
+
+  const stopAll = () => {
+    stopped = true;
+    for (const command of running.values()) {
+      command.cancelled = true;
+      command.cancel();
+    }
+  };
+  const onSignal = () => {
+    stopAll();
+    exit(130);
+  };
+  process.on('SIGINT', onSignal);
+
+  await new Promise(resolve => {
+    const schedule = () => {
+      // Dependencies come first, so one pass also leaves out the indirect dependents
+      for (const project of [...pending]) {
+        if (project.packageJson.scripts?.[script] === undefined) {
+          results.set(project, { project, status: 'skipped', duration: 0 });
+        } else if (dependencies.get(project).some(dependency => unsuccessfulStatuses.includes(results.get(dependency)?.status))) {
+          results.set(project, { project, status: 'blocked', duration: 0 });
+        } else {
+          continue;
+        }
+        pending = pending.filter(other => other !== project);
+      }
+
+      let active = [...results.values()].filter(result => result.status === 'running').length;
+      while (!stopped && active < concurrency) {
+        const next = pending.find(project => dependencies.get(project)
+          .every(dependency => results.has(dependency) && results.get(dependency).status !== 'running'));
+        if (!next) {
+          break;
+        }
+        pending = pending.filter(project => project !== next);
+        startProject(next);
+        active++;
+      }
+
+      if (active === 0 && (stopped || pending.length === 0)) {
+        pending.forEach(project => results.set(project, { project, status: 'cancelled', duration: 0 }));
+        resolve();
+      }
+    };
+
+    const startProject = (project) => {
+      const start = Date.now();
+      results.set(project, { project, status: 'running', duration: 0 });
+      runProject(project, running)
+        .catch(error => {
+          console.error(`${prefixes.get(project)}${chalk.red(`✖ ${error.message}`)}`);
+          return 'failed';
+        })
+        .then(status => {
+          running.delete(project);
+          results.set(project, { project, status, duration: Date.now() - start });
+          if (status === 'failed' && !continueOnError) {
+            stopAll();
+          }
+          schedule();
+        });
+    };
+
+    schedule();
+  });
+
+  process.off('SIGINT', onSignal);
+  if (cacheable) {
+    pruneCache(rootDir, config.cache.maxSize);
+  }
+  return projects.map(project => results.get(project));
+}
+
+/**
+ * Prints the outcome of runTasks as a table with the status and the duration of every project
+ * @param {string} script - Script name
+ * @param {{project: object, status: string, duration: number}[]} results - Results from runTasks
+ */
+function printTaskSummary(script, results) {
+  const statusColors = {
+    passed: chalk.green,
+    cached: chalk.green,
+    failed: chalk.red,
+    skipped: chalk.gray,
+    blocked: chalk.yellow,
+    cancelled: chalk.yellow
+  };
+  const width = Math.max('Project'.length, ...results.map(result => result.project.name.length));
+
+  console.log(chalk.bold(`\nSummary of "${script}":`));
+  console.log(chalk.bold(`  ${'Project'.padEnd(width)}  ${'Status'.padEnd(9)}  Duration`));
+  for (const { project, status, duration } of results) {
+    const time = ['passed', 'cached', 'failed'].includes(status) ? formatDuration(duration) : '-';
+    console.log(`  ${project.name.padEnd(width)}  ${statusColors[status](status.padEnd(9))}  ${time}`);
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const counts = ['passed', 'cached', 'failed', 'skipped', 'blocked', 'cancelled']
+    .filter(status => count(status) > 0)
+    .map(status => `${count(status)} ${status}`)
+    .join(', ');
+  if (count('failed') > 0) {
+    const failed = results.filter(result => result.status === 'failed').map(result => result.project.name);
+    console.error(chalk.red(`\n❌ "${script}" failed in ${failed.join(', ')} (${counts})`));
+  } else {
+    console.log(chalk.green(`\n✅ "${script}" finished: ${counts || 'no projects'}`));
+  }
+}
+
+export {
+  taskRunnerOptions,
+  getTaskRunnerOptions,
+  createProjectPrefixes,
+  runCommand,
+  runTasks,
+  printTaskSummary
+};
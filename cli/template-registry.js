@@ -0,0 +1,149 @@
+/**
+ * Registry of the project templates: the built-in templates of cli/templates
+ * and the templates of the repo-local "templates" directory.
+ *
+ * A template module default-exports an object with:
+ *   id           - Stable identifier used by --type, e.g. "express"
+ *   category     - Menu category, e.g. "Backend"; templates of a new category get their own menu entry
+ *   displayName  - Name shown in the menus, also accepted by --type, e.g. "Express.js"
+ *   dependencies - Runtime dependencies added to the project package.json when the template did not add them
+ *   create       - async function (ctx, { rootDir, projectDir, projectName, packageName, variables }) that
+ *                  writes the project through the ScaffoldContext; the common monorepo setup is applied
+ *                  afterwards. variables holds the values passed with --var
+ *
+ * A subdirectory with a template.json manifest declares the same properties except create,
+ * its files are rendered into the project instead (see file-templates.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { builtinTemplates } from './templates/index.js';
+import { manifestFileName, loadFileTemplate } from './file-templates.js';
+import { InvalidTemplateError } from './errors.js';
+
+/**
+ * Directory of the custom templates relative to the monorepo root
+ */
+const customTemplatesDir = 'templates';
+
+/**
+ * Template ids are used on the command line, so they are kept in slug format
+ */
+const templateIdPattern = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Checks that a template module declares everything the registry needs
+ * @param {object} template - Default export of the template module
+ * @param {string} source - Path of the template module for error messages
+ * @throws {InvalidTemplateError} If a property is missing or has a wrong type
+ */
+function checkTemplate(template, source) {
+  if (!template || typeof template !== 'object') {
+    throw new InvalidTemplateError(source, 'the module must default-export a template object');
+  }
+  if (typeof template.id !== 'string' || !templateIdPattern.test(template.id)) {
+    throw new InvalidTemplateError(source, 'id must contain only lowercase letters, numbers and hyphens');
+  }
+  for (const property of ['category', 'displayName']) {
+    if (typeof template[property] !== 'string' || !template[property].trim()) {
+      throw new InvalidTemplateError(source, `${property} must be a non-empty string`);
+    }
+  }
+  if (template.dependencies !== undefined &&
+      (typeof template.dependencies !== 'object' || Array.isArray(template.dependencies))) {
+    throw new InvalidTemplateError(source, 'dependencies must map package names to versions');
+  }
+  if (typeof template.create !== 'function') {
+    throw new InvalidTemplateError(source, 'create must be a function');
+  }
+}
+
+/**
+ * Loads the templates of the custom templates directory in alphabetical order: template modules
+ * and subdirectories with a template.json manifest
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {Promise<{template: object, source: string}[]>} Templates with the paths they were loaded from
+ */
+async function loadCustomTemplates(rootDir) {
+  const templatesDir = path.join(rootDir, customTemplatesDir);
+  if (!fs.existsSync(templatesDir)) {
+    return [];
+  }
+
+  const entries = fs.readdirSync(templatesDir, { withFileTypes: true })
+    .sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+  const templates = [];
+  for (const entry of entries) {
+    const entryPath = path.join(templatesDir, entry.name);
+    if (entry.isFile() && /\.m?js$/.test(entry.name)) {
+      const module = await import(pathToFileURL(entryPath).href);
+      templates.push({ template: module.default, source: entryPath });
+    } else if (entry.isDirectory()) {
+      const template = loadFileTemplate(entryPath);
+      if (template) {
+        templates.push({ template, source: path.join(entryPath, manifestFileName) });
+      }
+    }
+  }
+  return templates;
+}
+
+/**
+ * Loads the built-in and the custom templates
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {Promise<object[]>} Templates in menu order, custom templates after the built-in ones
+ * @throws {InvalidTemplateError} If a template is invalid or reuses the id or name of another template
+ */
+async function loadTemplates(rootDir) {
+  const entries = [
+    ...builtinTemplates.map(template => ({ template, source: `cli/templates/${template.id}.js` })),
+    ...await loadCustomTemplates(rootDir)
+  ];
+
+  const templates = [];
+  for (const { template, source } of entries) {
+    checkTemplate(template, source);
+
+    // --type accepts both the id and the display name, so neither may be ambiguous
+    const duplicate = templates.find(other =>
+      [other.id, other.displayName].some(key => key === template.id || key === template.displayName));
+    if (duplicate) {
+      throw new InvalidTemplateError(source, `id or display name is already used by the "${duplicate.id}" template`);
+    }
+
+    templates.push(template);
+  }
+  return templates;
+}
+
+/**
+ * Finds a template by its id or display name
+ * @param {object[]} templates - Loaded templates
+ * @param {string} type - Template id or display name
+ * @returns {object|undefined} Template or undefined if there is no such template
+ */
+function findTemplate(templates, type) {
+  return templates.find(template => template.id === type || template.displayName === type);
+}
+
+/**
+ * Groups the templates by category, keeping the order in which the categories first appear
+ * @param {object[]} templates - Loaded templates
+ * @returns {{category: string, templates: object[]}[]} Categories with their templates
+ */
+function groupTemplatesByCategory(templates) {
+  const groups = [];
+  for (const template of templates) {
+    let group = groups.find(group => group.category === template.category);
+    if (!group) {
+      group = { category: template.category, templates: [] };
+      groups.push(group);
+    }
+    group.templates.push(template);
+  }
+  return groups;
+}
+
+export { loadTemplates, findTemplate, groupTemplatesByCategory };
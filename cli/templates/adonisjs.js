@@ -0,0 +1,40 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an AdonisJS project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createAdonisJsProject(ctx, projectDir, packageName) {
+  try {
+    // Use AdonisJS CLI to create AdonisJS project
+    ctx.exec(`npx create-adonis-ts-app ${projectDir} --api-only`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf build';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating AdonisJS project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'adonisjs',
+  category: 'Backend',
+  displayName: 'AdonisJS',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createAdonisJsProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,40 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an Angular project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createAngularProject(ctx, projectDir, packageName) {
+  try {
+    // Use Angular CLI to create Angular project
+    ctx.exec(`npx @angular/cli new ${path.basename(projectDir)} --directory ${projectDir} --skip-git --skip-install`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Ensure all required scripts are present
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf ./dist';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Angular project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'angular',
+  category: 'Frontend',
+  displayName: 'Angular',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createAngularProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,44 @@
+import path from 'path';
+import { createReactProject } from './react.js';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Capacitor project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createCapacitorProject(ctx, projectDir, packageName) {
+  try {
+    // First create a React project with Vite (web app)
+    await createReactProject(ctx, projectDir, packageName);
+
+    // Add Capacitor
+    ctx.exec(`npm install @capacitor/core @capacitor/cli`, { cwd: projectDir });
+    ctx.exec(`npx cap init ${packageName} ${packageName} --web-dir=dist`, { cwd: projectDir });
+    ctx.exec(`npm install @capacitor/ios @capacitor/android`, { cwd: projectDir });
+
+    // Modify package.json to add Capacitor scripts
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    // Add Capacitor scripts
+    packageJson.scripts['cap:add'] = 'cap add';
+    packageJson.scripts['cap:copy'] = 'cap copy';
+    packageJson.scripts['cap:open'] = 'cap open';
+    packageJson.scripts['cap:build'] = 'npm run build && npm run cap:copy';
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Capacitor project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'capacitor',
+  category: 'Mobile',
+  displayName: 'Capacitor.js',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createCapacitorProject(ctx, projectDir, packageName)
+};
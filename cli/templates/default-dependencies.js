@@ -0,0 +1,64 @@
+/**
+ * Default dependency versions used for project initialization
+ */
+const defaultDependencies = {
+  // Common dependencies
+  'typescript': '^5.8.2',
+  'rimraf': '^6.0.1',
+  'eslint': '^9.23.0',
+  'jest': '^29.7.0',
+  '@types/jest': '^29.5.14',
+  'ts-jest': '^29.3.0',
+  'ts-node': '^10.4.0',
+  'ts-node-dev': '^2.0.0',
+  '@types/node': '^22.13.13',
+  '@typescript-eslint/eslint-plugin': '^8.28.0',
+  '@typescript-eslint/parser': '^8.28.0',
+
+  // React/Vue/Svelte
+  'react': '^18.2.0',
+  'react-dom': '^18.2.0',
+  'vite': '^4.3.0',
+  '@vitejs/plugin-react': '^4.0.0',
+  'vitest': '^0.32.0',
+  '@testing-library/react': '^14.0.0',
+  '@testing-library/react-native': '^9.0.0',
+  '@testing-library/jest-dom': '^5.16.0',
+  '@testing-library/svelte': '^3.0.0',
+  '@testing-library/vue': '^2.0.0',
+
+  // Express/Fastify/NestJS
+  'express': '^4.18.0',
+  '@types/express': '^4.17.0',
+  'fastify': '^4.0.0',
+  '@nestjs/cli': '^9.0.0',
+  'supertest': '^6.0.0',
+  '@types/supertest': '^2.0.0',
+
+  // Mobile
+  'react-native': '^0.72.0',
+  'expo': '^49.0.0',
+  '@nativescript/cli': '^8.0.0',
+  '@ionic/cli': '^6.0.0',
+  '@capacitor/core': '^5.0.0',
+
+  // Desktop
+  'electron': '^24.0.0',
+  'electron-builder': '^23.0.0',
+  '@tauri-apps/cli': '^1.0.0',
+  '@tauri-apps/api': '^1.0.0',
+  '@neutralinojs/neu': '^9.0.0',
+  'proton-native': '^2.0.0',
+  'sciter-js': '^4.0.0'
+};
+
+/**
+ * Picks the default versions of the given packages
+ * @param {string[]} names - Package names
+ * @returns {Object<string, string>} Package versions by name
+ */
+function pickDependencies(names) {
+  return Object.fromEntries(names.map(name => [name, defaultDependencies[name]]));
+}
+
+export { defaultDependencies, pickDependencies };
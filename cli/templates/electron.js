@@ -0,0 +1,174 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an Electron project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createElectronProject(ctx, projectDir, packageName) {
+  try {
+    // Create project structure
+    ctx.mkdir(projectDir);
+
+    // Create package.json
+    const packageJson = {
+      name: packageName,
+      version: '0.1.0',
+      private: true,
+      scripts: {
+        clean: 'rimraf ./dist',
+        lint: 'eslint src --ext .ts,.tsx',
+        test: 'jest',
+        build: 'vite build',
+        start: 'electron .',
+        dev: 'vite & electron .'
+      },
+      main: 'electron/main.js',
+      dependencies: {
+        'electron': defaultDependencies['electron'],
+        'react': defaultDependencies['react'],
+        'react-dom': defaultDependencies['react-dom']
+      },
+      devDependencies: {
+        '@types/react': defaultDependencies['@types/react'],
+        '@types/react-dom': defaultDependencies['@types/react-dom'],
+        'vite': defaultDependencies['vite'],
+        '@vitejs/plugin-react': defaultDependencies['@vitejs/plugin-react'],
+        'electron-builder': defaultDependencies['electron-builder']
+      }
+    };
+
+    ctx.writeFile(
+      path.join(projectDir, 'package.json'),
+      JSON.stringify(packageJson, null, 2)
+    );
+
+    // Create directories
+    ctx.mkdir(path.join(projectDir, 'src'));
+    ctx.mkdir(path.join(projectDir, 'electron'));
+
+    // Create Vite config
+    ctx.writeFile(
+      path.join(projectDir, 'vite.config.ts'),
+      `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()],
+  build: {
+    outDir: 'dist',
+  }
+});`
+    );
+
+    // Create main.js for Electron
+    ctx.writeFile(
+      path.join(projectDir, 'electron', 'main.js'),
+      `const { app, BrowserWindow } = require('electron');
+const path = require('path');
+const url = require('url');
+
+let mainWindow;
+
+function createWindow() {
+  mainWindow = new BrowserWindow({
+    width: 800,
+    height: 600,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  const startUrl = process.env.NODE_ENV === 'development'
+    ? 'http://localhost:5173'
+    : url.format({
+        pathname: path.join(__dirname, '../dist/index.html'),
+        protocol: 'file:',
+        slashes: true
+      });
+
+  mainWindow.loadURL(startUrl);
+
+  mainWindow.on('closed', function() {
+    mainWindow = null;
+  });
+}
+
+app.on('ready', createWindow);
+
+app.on('window-all-closed', function() {
+  if (process.platform !== 'darwin') {
+    app.quit();
+  }
+});
+
+app.on('activate', function() {
+  if (mainWindow === null) {
+    createWindow();
+  }
+});`
+    );
+
+    // Create React app files
+    ctx.writeFile(
+      path.join(projectDir, 'src', 'index.html'),
+      `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${packageName}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.tsx"></script>
+  </body>
+</html>`
+    );
+
+    ctx.writeFile(
+      path.join(projectDir, 'src', 'main.tsx'),
+      `import React from 'react';
+import ReactDOM from 'react-dom/client';
+import App from './App';
+
+ReactDOM.createRoot(document.getElementById('root')!).render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);`
+    );
+
+    ctx.writeFile(
+      path.join(projectDir, 'src', 'App.tsx'),
+      `import React from 'react';
+
+function App() {
+  return (
+    <div className="App">
+      <header className="App-header">
+        <h1>Welcome to ${packageName}!</h1>
+        <p>An Electron application with React and TypeScript</p>
+      </header>
+    </div>
+  );
+}
+
+export default App;`
+    );
+  } catch (error) {
+    ctx.error('Error creating Electron project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'electron',
+  category: 'Desktop',
+  displayName: 'Electron',
+  dependencies: pickDependencies(['electron', 'react', 'react-dom']),
+  create: (ctx, { projectDir, packageName }) => createElectronProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,52 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an Empty Node.js project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createEmptyNodeProject(ctx, projectDir, packageName) {
+  // Create basic package.json based on app/package.json
+  const packageJson = {
+    "name": packageName,
+    "version": "1.0.0",
+    "private": true,
+    "scripts": {},
+    "dependencies": {}
+  };
+
+  ctx.writeFile(
+    path.join(projectDir, 'package.json'),
+    JSON.stringify(packageJson, null, 2)
+  );
+
+  // Create basic structure
+  ctx.mkdir(path.join(projectDir, 'src'));
+  ctx.mkdir(path.join(projectDir, 'tests'));
+
+  // Create sample index.ts
+  ctx.writeFile(
+    path.join(projectDir, 'src', 'index.ts'),
+    `console.log('Hello from ${packageName}!');`
+  );
+
+  // Create empty test file
+  ctx.writeFile(
+    path.join(projectDir, 'tests', 'index.test.ts'),
+    `describe('${packageName}', () => {
+  it('should work', () => {
+    expect(true).toBe(true);
+  });
+});`
+  );
+}
+
+export default {
+  id: 'empty-node',
+  category: 'General',
+  displayName: 'Empty Node.js',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createEmptyNodeProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,51 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an Expo project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createExpoProject(ctx, projectDir, packageName) {
+  try {
+    // Use Expo CLI to create Expo project
+    ctx.exec(`npx create-expo-app ${projectDir} -t expo-template-blank-typescript`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf .expo .expo-shared dist';
+    }
+    if (!packageJson.scripts.lint) {
+      packageJson.scripts.lint = 'eslint . --ext .js,.jsx,.ts,.tsx';
+    }
+    if (!packageJson.scripts.test) {
+      packageJson.scripts.test = 'jest';
+      // Add testing dependencies if they don't exist
+      packageJson.devDependencies['@testing-library/react-native'] = defaultDependencies['@testing-library/react-native'];
+    }
+    if (!packageJson.scripts.build) {
+      packageJson.scripts.build = 'expo export:web';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Expo project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'expo',
+  category: 'Mobile',
+  displayName: 'Expo',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createExpoProject(ctx, projectDir, packageName)
+};
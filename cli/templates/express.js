@@ -0,0 +1,93 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an Express.js project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createExpressProject(ctx, projectDir, packageName) {
+  // Create project structure
+  ctx.mkdir(path.join(projectDir, 'src'));
+  ctx.mkdir(path.join(projectDir, 'tests'));
+
+  // Create package.json
+  const packageJson = {
+    name: packageName,
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      clean: 'rimraf ./dist',
+      lint: 'eslint src --ext .ts',
+      test: 'jest',
+      build: 'tsc',
+      start: 'node ./dist/index.js',
+      dev: 'ts-node-dev --respawn src/index.ts'
+    },
+    dependencies: {
+      'express': defaultDependencies['express'],
+      '@types/express': defaultDependencies['@types/express']
+    }/*,
+    devDependencies: {
+      '@types/node': defaultDependencies['@types/node'],
+      'typescript': defaultDependencies['typescript'],
+      'ts-node': defaultDependencies['ts-node'],
+      'ts-node-dev': defaultDependencies['ts-node-dev'],
+      'rimraf': defaultDependencies['rimraf'],
+      'eslint': defaultDependencies['eslint'],
+      'jest': defaultDependencies['jest'],
+      '@types/jest': defaultDependencies['@types/jest'],
+      'ts-jest': defaultDependencies['ts-jest'],
+      'supertest': defaultDependencies['supertest'],
+      '@types/supertest': defaultDependencies['@types/supertest']
+    }*/
+  };
+
+  ctx.writeFile(
+    path.join(projectDir, 'package.json'),
+    JSON.stringify(packageJson, null, 2)
+  );
+
+  // Create sample index.ts
+  ctx.writeFile(
+    path.join(projectDir, 'src', 'index.ts'),
+    `import express from 'express';
+
+const app = express();
+const port = process.env.PORT || 3000;
+
+app.get('/', (req, res) => {
+  res.json({ message: 'Hello from ${packageName}!' });
+});
+
+app.listen(port, () => {
+  console.log('Server running at http://localhost:' + port);
+});
+
+export default app;`
+  );
+
+  // Create sample test
+  ctx.writeFile(
+    path.join(projectDir, 'tests', 'index.test.ts'),
+    `import request from 'supertest';
+import app from '../src/index';
+
+describe('Express App', () => {
+  it('should return hello message', async () => {
+    const response = await request(app).get('/');
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Hello from ${packageName}!');
+  });
+});`
+  );
+}
+
+export default {
+  id: 'express',
+  category: 'Backend',
+  displayName: 'Express.js',
+  dependencies: pickDependencies(['express', '@types/express']),
+  create: (ctx, { projectDir, packageName }) => createExpressProject(ctx, projectDir, packageName)
+};
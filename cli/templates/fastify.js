@@ -0,0 +1,105 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Fastify project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createFastifyProject(ctx, projectDir, packageName) {
+  // Create project structure
+  ctx.mkdir(path.join(projectDir, 'src'));
+  ctx.mkdir(path.join(projectDir, 'tests'));
+
+  // Create package.json
+  const packageJson = {
+    name: packageName,
+    version: '0.1.0',
+    private: true,
+    scripts: {
+      clean: 'rimraf ./dist',
+      lint: 'eslint src --ext .ts',
+      test: 'jest',
+      build: 'tsc',
+      start: 'node ./dist/index.js',
+      dev: 'ts-node-dev --respawn src/index.ts'
+    },
+    dependencies: {
+      'fastify': defaultDependencies['fastify']
+    }/*,
+    devDependencies: {
+      '@types/node': defaultDependencies['@types/node'],
+      'typescript': defaultDependencies['typescript'],
+      'ts-node': defaultDependencies['ts-node'],
+      'ts-node-dev': defaultDependencies['ts-node-dev'],
+      'rimraf': defaultDependencies['rimraf'],
+      'eslint': defaultDependencies['eslint'],
+      'jest': defaultDependencies['jest'],
+      '@types/jest': defaultDependencies['@types/jest'],
+      'ts-jest': defaultDependencies['ts-jest']
+    }*/
+  };
+
+  ctx.writeFile(
+    path.join(projectDir, 'package.json'),
+    JSON.stringify(packageJson, null, 2)
+  );
+
+  // Create sample index.ts
+  ctx.writeFile(
+    path.join(projectDir, 'src', 'index.ts'),
+    `import Fastify from 'fastify';
+
+const fastify = Fastify({
+  logger: true
+});
+
+fastify.get('/', async (request, reply) => {
+  return { message: 'Hello from ${packageName}!' };
+});
+
+const start = async () => {
+  try {
+    await fastify.listen({ port: 3000 });
+  } catch (err) {
+    fastify.log.error(err);
+    process.exit(1);
+  }
+};
+
+start();
+
+export default fastify;`
+  );
+
+  // Create sample test
+  ctx.writeFile(
+    path.join(projectDir, 'tests', 'index.test.ts'),
+    `import fastify from '../src/index';
+
+describe('Fastify App', () => {
+  afterAll(() => {
+    fastify.close();
+  });
+
+  it('should return hello message', async () => {
+    const response = await fastify.inject({
+      method: 'GET',
+      url: '/'
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.payload).message).toBe('Hello from ${packageName}!');
+  });
+});`
+  );
+}
+
+export default {
+  id: 'fastify',
+  category: 'Backend',
+  displayName: 'Fastify',
+  dependencies: pickDependencies(['fastify']),
+  create: (ctx, { projectDir, packageName }) => createFastifyProject(ctx, projectDir, packageName)
+};
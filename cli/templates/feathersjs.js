@@ -0,0 +1,117 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a FeathersJS project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createFeathersJsProject(ctx, projectDir, packageName) {
+  try {
+    // TODO: Implement using Feathers CLI when available
+    // For now, create a basic structure
+
+    // Create project structure
+    ctx.mkdir(path.join(projectDir, 'src'));
+    ctx.mkdir(path.join(projectDir, 'tests'));
+
+    // Create package.json
+    const packageJson = {
+      name: packageName,
+      version: '0.1.0',
+      private: true,
+      scripts: {
+        clean: 'rimraf lib',
+        lint: 'eslint src --ext .ts',
+        test: 'jest',
+        build: 'tsc',
+        start: 'node lib/index.js',
+        dev: 'ts-node-dev --respawn src/index.ts'
+      },
+      dependencies: {
+        '@feathersjs/feathers': defaultDependencies['@feathersjs/feathers'],
+        '@feathersjs/express': defaultDependencies['@feathersjs/express'],
+        '@feathersjs/socketio': defaultDependencies['@feathersjs/socketio']
+      }/*,
+      devDependencies: {
+        '@types/node': defaultDependencies['@types/node'],
+        'typescript': defaultDependencies['typescript'],
+        'ts-node': defaultDependencies['ts-node'],
+        'ts-node-dev': defaultDependencies['ts-node-dev'],
+        'rimraf': defaultDependencies['rimraf'],
+        'eslint': defaultDependencies['eslint'],
+        'jest': defaultDependencies['jest'],
+        '@types/jest': defaultDependencies['@types/jest'],
+        'ts-jest': defaultDependencies['ts-jest']
+      }*/
+    };
+
+    ctx.writeFile(
+      path.join(projectDir, 'package.json'),
+      JSON.stringify(packageJson, null, 2)
+    );
+
+    // Create sample index.ts
+    ctx.writeFile(
+      path.join(projectDir, 'src', 'index.ts'),
+      `import feathers from '@feathersjs/feathers';
+import express from '@feathersjs/express';
+import socketio from '@feathersjs/socketio';
+
+// Create a Feathers application
+const app = express(feathers());
+
+// Parse JSON
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Configure Socket.io realtime API
+app.configure(socketio());
+
+// Register a simple message service
+app.use('messages', {
+  async find() {
+    return [
+      { message: 'Hello from ${packageName}!' }
+    ];
+  }
+});
+
+// Start the server
+const port = process.env.PORT || 3030;
+app.listen(port, () => {
+  console.log('Feathers server running on http://localhost:' + port);
+});
+
+export default app;`
+    );
+
+    // Create sample test
+    ctx.writeFile(
+      path.join(projectDir, 'tests', 'index.test.ts'),
+      `import app from '../src/index';
+
+describe('Feathers App', () => {
+  it('should return hello message', async () => {
+    const service = app.service('messages');
+    const messages = await service.find();
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].message).toBe('Hello from ${packageName}!');
+  });
+});`
+    );
+  } catch (error) {
+    ctx.error('Error creating FeathersJS project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'feathersjs',
+  category: 'Backend',
+  displayName: 'FeathersJS',
+  dependencies: pickDependencies(['@feathersjs/feathers', '@feathersjs/express', '@feathersjs/socketio']),
+  create: (ctx, { projectDir, packageName }) => createFeathersJsProject(ctx, projectDir, packageName)
+};
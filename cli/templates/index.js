@@ -0,0 +1,35 @@
+/**
+ * Built-in project templates in the order they are offered in the menus
+ */
+
+import emptyNode from './empty-node.js';
+import react from './react.js';
+import nextjs from './nextjs.js';
+import angular from './angular.js';
+import vue from './vue.js';
+import svelte from './svelte.js';
+import express from './express.js';
+import nestjs from './nestjs.js';
+import fastify from './fastify.js';
+import adonisjs from './adonisjs.js';
+import feathersjs from './feathersjs.js';
+import reactNative from './react-native.js';
+import expo from './expo.js';
+import nativescript from './nativescript.js';
+import ionic from './ionic.js';
+import capacitor from './capacitor.js';
+import electron from './electron.js';
+import tauri from './tauri.js';
+import neutralino from './neutralino.js';
+import protonNative from './proton-native.js';
+import sciter from './sciter.js';
+
+const builtinTemplates = [
+  emptyNode,
+  react, nextjs, angular, vue, svelte,
+  express, nestjs, fastify, adonisjs, feathersjs,
+  reactNative, expo, nativescript, ionic, capacitor,
+  electron, tauri, neutralino, protonNative, sciter
+];
+
+export { builtinTemplates };
@@ -0,0 +1,40 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates an Ionic project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createIonicProject(ctx, projectDir, packageName) {
+  try {
+    // Use Ionic CLI to create Ionic project
+    ctx.exec(`npx @ionic/cli start ${projectDir} blank --type=react --capacitor`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf build';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Ionic project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'ionic',
+  category: 'Mobile',
+  displayName: 'Ionic',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createIonicProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,46 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a NativeScript project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createNativeScriptProject(ctx, projectDir, packageName) {
+  try {
+    // Use NativeScript CLI to create NativeScript project
+    ctx.exec(`npx @nativescript/cli create ${projectDir} --ts`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf hooks node_modules platforms';
+    }
+    if (!packageJson.scripts.lint) {
+      packageJson.scripts.lint = 'eslint src --ext .ts';
+    }
+    if (!packageJson.scripts.test) {
+      packageJson.scripts.test = 'jest';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating NativeScript project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'nativescript',
+  category: 'Mobile',
+  displayName: 'NativeScript',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createNativeScriptProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,40 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a NestJS project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createNestJsProject(ctx, projectDir, packageName) {
+  try {
+    // Use Nest CLI to create NestJS project
+    ctx.exec(`npx @nestjs/cli new ${projectDir} --skip-git --package-manager npm`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Ensure all required scripts are present
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf ./dist';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating NestJS project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'nestjs',
+  category: 'Backend',
+  displayName: 'NestJS',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createNestJsProject(ctx, projectDir, packageName)
+};
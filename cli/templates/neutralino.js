@@ -0,0 +1,54 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Neutralino.js project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createNeutralinoProject(ctx, projectDir, packageName) {
+  try {
+    // Create project using Neutralino CLI
+    ctx.exec(`npx @neutralinojs/neu create ${projectDir}`, { outputDir: projectDir });
+
+    // Add package.json for monorepo integration
+    const packageJson = {
+      name: packageName,
+      version: '0.1.0',
+      private: true,
+      scripts: {
+        clean: 'rimraf ./dist',
+        lint: 'eslint src --ext .ts,.js',
+        test: 'jest',
+        build: 'npx @neutralinojs/neu build',
+        start: 'npx @neutralinojs/neu run',
+        dev: 'npx @neutralinojs/neu run --frontend-lib-dev'
+      },
+      devDependencies: {
+        '@neutralinojs/neu': defaultDependencies['@neutralinojs/neu'],
+        'typescript': defaultDependencies['typescript'],
+        'rimraf': defaultDependencies['rimraf'],
+        'eslint': defaultDependencies['eslint'],
+        'jest': defaultDependencies['jest'],
+        '@types/jest': defaultDependencies['@types/jest']
+      }
+    };
+
+    ctx.writeFile(
+      path.join(projectDir, 'package.json'),
+      JSON.stringify(packageJson, null, 2)
+    );
+  } catch (error) {
+    ctx.error('Error creating Neutralino.js project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'neutralino',
+  category: 'Desktop',
+  displayName: 'Neutralino.js',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createNeutralinoProject(ctx, projectDir, packageName)
+};
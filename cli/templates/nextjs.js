@@ -0,0 +1,49 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Next.js project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createNextJsProject(ctx, projectDir, packageName) {
+  try {
+    // Use create-next-app to create Next.js project
+    ctx.exec(`npx create-next-app ${projectDir} --typescript`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf .next';
+    }
+    if (!packageJson.scripts.lint && !packageJson.scripts['lint:fix']) {
+      packageJson.scripts.lint = 'next lint';
+    }
+    if (!packageJson.scripts.test) {
+      packageJson.scripts.test = 'jest';
+      // Add testing dependencies if they don't exist
+      packageJson.devDependencies['@testing-library/react'] = defaultDependencies['@testing-library/react'];
+      packageJson.devDependencies['@testing-library/jest-dom'] = defaultDependencies['@testing-library/jest-dom'];
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Next.js project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'nextjs',
+  category: 'Frontend',
+  displayName: 'Next.js',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createNextJsProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,91 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Proton Native project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createProtonNativeProject(ctx, projectDir, packageName) {
+  try {
+    // Create basic structure
+    ctx.mkdir(path.join(projectDir, 'src'));
+
+    // Create package.json
+    const packageJson = {
+      name: packageName,
+      version: '0.1.0',
+      private: true,
+      scripts: {
+        clean: 'rimraf ./dist',
+        lint: 'eslint src --ext .js,.jsx',
+        test: 'jest',
+        build: 'babel src -d dist',
+        start: 'node ./dist/index.js',
+        dev: 'babel-node src/index.js'
+      },
+      dependencies: {
+        'proton-native': defaultDependencies['proton-native'],
+        'react': defaultDependencies['react']
+      },
+      devDependencies: {
+        '@babel/cli': defaultDependencies['@babel/cli'],
+        '@babel/core': defaultDependencies['@babel/core'],
+        '@babel/node': defaultDependencies['@babel/node'],
+        '@babel/preset-env': defaultDependencies['@babel/preset-env'],
+        '@babel/preset-react': defaultDependencies['@babel/preset-react'],
+        'eslint': defaultDependencies['eslint'],
+        'jest': defaultDependencies['jest'],
+        'rimraf': defaultDependencies['rimraf']
+      }
+    };
+
+    ctx.writeFile(
+      path.join(projectDir, 'package.json'),
+      JSON.stringify(packageJson, null, 2)
+    );
+
+    // Create babel config
+    ctx.writeFile(
+      path.join(projectDir, '.babelrc'),
+      JSON.stringify({
+        presets: ['@babel/preset-env', '@babel/preset-react']
+      }, null, 2)
+    );
+
+    // Create sample app
+    ctx.writeFile(
+      path.join(projectDir, 'src', 'index.js'),
+      `import React, { Component } from 'react';
+import { render, Window, App, Text, Box } from 'proton-native';
+
+class Example extends Component {
+  render() {
+    return (
+      <App>
+        <Window title="${packageName}" size={{ width: 600, height: 400 }}>
+          <Box>
+            <Text>Welcome to ${packageName}!</Text>
+          </Box>
+        </Window>
+      </App>
+    );
+  }
+}
+
+render(<Example />);`
+    );
+  } catch (error) {
+    ctx.error('Error creating Proton Native project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'proton-native',
+  category: 'Desktop',
+  displayName: 'Proton Native',
+  dependencies: pickDependencies(['proton-native', 'react']),
+  create: (ctx, { projectDir, packageName }) => createProtonNativeProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,46 @@
+import path from 'path';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a React Native project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createReactNativeProject(ctx, projectDir, packageName) {
+  try {
+    // Use React Native CLI to create React Native project
+    ctx.exec(`npx react-native init ${path.basename(projectDir)} --directory ${projectDir} --template react-native-template-typescript`, { outputDir: projectDir });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf android/app/build ios/build';
+    }
+    if (!packageJson.scripts.lint && !packageJson.scripts['lint:fix']) {
+      packageJson.scripts.lint = 'eslint . --ext .js,.jsx,.ts,.tsx';
+    }
+    if (!packageJson.scripts.build) {
+      packageJson.scripts.build = 'tsc';
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating React Native project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'react-native',
+  category: 'Mobile',
+  displayName: 'React Native',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createReactNativeProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,99 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Sciter project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createSciterProject(ctx, projectDir, packageName) {
+  try {
+    // Create basic structure
+    ctx.mkdir(path.join(projectDir, 'src'));
+    ctx.mkdir(path.join(projectDir, 'resources'));
+
+    // Create package.json
+    const packageJson = {
+      name: packageName,
+      version: '0.1.0',
+      private: true,
+      scripts: {
+        clean: 'rimraf ./dist',
+        lint: 'eslint src --ext .js',
+        test: 'jest',
+        build: 'rollup -c',
+        start: 'scapp src/index.html',
+        dev: 'rollup -c -w'
+      },
+      dependencies: {
+        'sciter-js': defaultDependencies['sciter-js']
+      },
+      devDependencies: {
+        'rollup': defaultDependencies['rollup'],
+        'eslint': defaultDependencies['eslint'],
+        'jest': defaultDependencies['jest'],
+        'rimraf': defaultDependencies['rimraf']
+      }
+    };
+
+    ctx.writeFile(
+      path.join(projectDir, 'package.json'),
+      JSON.stringify(packageJson, null, 2)
+    );
+
+    // Create sample HTML file
+    ctx.writeFile(
+      path.join(projectDir, 'src', 'index.html'),
+      `<!DOCTYPE html>
+<html>
+  <head>
+    <title>${packageName}</title>
+    <style>
+      body {
+        font-family: system-ui;
+        padding: 2em;
+      }
+      h1 {
+        color: #333;
+      }
+    </style>
+    <script type="module">
+      import * as sciter from '@sciter';
+
+      document.addEventListener('DOMContentLoaded', function() {
+        document.getElementById('app-name').textContent = '${packageName}';
+      });
+    </script>
+  </head>
+  <body>
+    <h1>Welcome to <span id="app-name"></span>!</h1>
+    <p>This is a Sciter.js application.</p>
+  </body>
+</html>`
+    );
+
+    // Create rollup config
+    ctx.writeFile(
+      path.join(projectDir, 'rollup.config.js'),
+      `export default {
+  input: 'src/main.js',
+  output: {
+    file: 'dist/bundle.js',
+    format: 'es'
+  }
+};`
+    );
+  } catch (error) {
+    ctx.error('Error creating Sciter project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'sciter',
+  category: 'Desktop',
+  displayName: 'Sciter',
+  dependencies: pickDependencies(['sciter-js']),
+  create: (ctx, { projectDir, packageName }) => createSciterProject(ctx, projectDir, packageName)
+};
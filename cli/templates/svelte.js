@@ -0,0 +1,52 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+import { createViteProject } from './vite-starter.js';
+
+/**
+ * Creates a Svelte project using Vite
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ * @param {object} [options]
+ * @param {boolean} [options.offline] - Use the bundled Vite starter instead of running create-vite
+ */
+async function createSvelteProject(ctx, projectDir, packageName, { offline } = {}) {
+  try {
+    // Use Vite to create Svelte project
+    createViteProject(ctx, projectDir, 'svelte-ts', { offline });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf ./dist';
+    }
+    if (!packageJson.scripts.lint) {
+      packageJson.scripts.lint = 'eslint src --ext .ts,.svelte';
+    }
+    if (!packageJson.scripts.test) {
+      packageJson.scripts.test = 'vitest run';
+      // Add testing dependencies if they don't exist
+      packageJson.devDependencies['vitest'] = defaultDependencies['vitest'];
+      packageJson.devDependencies['@testing-library/svelte'] = defaultDependencies['@testing-library/svelte'];
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Svelte project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'svelte',
+  category: 'Frontend',
+  displayName: 'Svelte',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName, offline }) => createSvelteProject(ctx, projectDir, packageName, { offline })
+};
@@ -0,0 +1,40 @@
+import path from 'path';
+import { createReactProject } from './react.js';
+import { pickDependencies } from './default-dependencies.js';
+
+/**
+ * Creates a Tauri project
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ */
+async function createTauriProject(ctx, projectDir, packageName) {
+  try {
+    // Create a React project with Vite first
+    await createReactProject(ctx, projectDir, packageName);
+
+    // Add Tauri
+    ctx.exec(`npm install @tauri-apps/cli @tauri-apps/api`, { cwd: projectDir });
+    ctx.exec(`npx @tauri-apps/cli init`, { cwd: projectDir });
+
+    // Update package.json with Tauri scripts
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    // Add Tauri scripts
+    packageJson.scripts['tauri'] = 'tauri';
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Tauri project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'tauri',
+  category: 'Desktop',
+  displayName: 'Tauri',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName }) => createTauriProject(ctx, projectDir, packageName)
+};
@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isRegistryReachable } from '../utils.js';
+
+/**
+ * Version of create-vite the starters in vite-starters were copied from.
+ * To update them, unpack "npm pack create-vite@<version>", replace the template-* directories
+ * and change this version; online scaffolding runs the same version, so both produce the same project.
+ */
+const viteStarterVersion = '9.2.1';
+
+/**
+ * Directory of the vendored starters
+ */
+const startersDir = fileURLToPath(new URL('./vite-starters', import.meta.url));
+
+/**
+ * Files that npm would not publish under their real names, create-vite renames them the same way
+ */
+const renamedFiles = {
+  '_gitignore': '.gitignore',
+  '_oxlintrc.json': '.oxlintrc.json'
+};
+
+/**
+ * Copies a vendored starter the way create-vite does: renames the dotfiles,
+ * puts the project name into the page title and the package name
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} starterDir - Directory of the vendored starter
+ * @param {string} projectDir - Project directory
+ */
+function copyStarter(ctx, starterDir, projectDir) {
+  const projectName = path.basename(projectDir);
+
+  const copyDir = (sourceDir, targetDir) => {
+    if (!ctx.exists(targetDir)) {
+      ctx.mkdir(targetDir);
+    }
+
+    for (const entry of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+      const sourcePath = path.join(sourceDir, entry.name);
+      const targetPath = path.join(targetDir, renamedFiles[entry.name] ?? entry.name);
+
+      if (entry.isDirectory()) {
+        copyDir(sourcePath, targetPath);
+      } else if (sourceDir === starterDir && entry.name === 'package.json') {
+        const packageJson = JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+        packageJson.name = projectName;
+        ctx.writeFile(targetPath, JSON.stringify(packageJson, null, 2) + '\n');
+      } else if (sourceDir === starterDir && entry.name === 'index.html') {
+        const html = fs.readFileSync(sourcePath, 'utf8');
+        ctx.writeFile(targetPath, html.replace(/<title>.*?<\/title>/, `<title>${projectName}</title>`));
+      } else {
+        // Images are binary, so the files are copied as buffers
+        ctx.writeFile(targetPath, fs.readFileSync(sourcePath));
+      }
+    }
+  };
+
+  copyDir(starterDir, projectDir);
+}
+
+/**
+ * Creates a project from a create-vite template, using the vendored starter when offline
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} template - create-vite template name, e.g. "react-ts"
+ * @param {object} [options]
+ * @param {boolean} [options.offline] - Use the vendored starter; by default it is used when the npm registry is not reachable
+ */
+function createViteProject(ctx, projectDir, template, { offline = undefined } = {}) {
+  if (offline === undefined && !isRegistryReachable()) {
+    ctx.warn(`The npm registry is not reachable, using the bundled create-vite ${viteStarterVersion} "${template}" template`);
+    offline = true;
+  }
+
+  if (offline) {
+    copyStarter(ctx, path.join(startersDir, template), projectDir);
+  } else {
+    // create-vite resolves the target directory against the working directory, even an absolute one
+    ctx.exec(`npx create-vite@${viteStarterVersion} ${path.basename(projectDir)} --template ${template}`, {
+      cwd: path.dirname(projectDir),
+      outputDir: projectDir
+    });
+  }
+}
+
+export { viteStarterVersion, createViteProject };
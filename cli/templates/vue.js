@@ -0,0 +1,52 @@
+import path from 'path';
+import { defaultDependencies, pickDependencies } from './default-dependencies.js';
+import { createViteProject } from './vite-starter.js';
+
+/**
+ * Creates a Vue.js project using Vite
+ * @param {ScaffoldContext} ctx - Scaffolding context that performs and records changes
+ * @param {string} projectDir - Project directory
+ * @param {string} packageName - Package name
+ * @param {object} [options]
+ * @param {boolean} [options.offline] - Use the bundled Vite starter instead of running create-vite
+ */
+async function createVueProject(ctx, projectDir, packageName, { offline } = {}) {
+  try {
+    // Use Vite to create Vue project
+    createViteProject(ctx, projectDir, 'vue-ts', { offline });
+
+    // Modify package.json to comply with monorepo structure
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    const packageJson = JSON.parse(ctx.readFile(packageJsonPath));
+
+    packageJson.name = packageName;
+    packageJson.private = true;
+
+    // Add missing scripts
+    if (!packageJson.scripts.clean) {
+      packageJson.scripts.clean = 'rimraf ./dist';
+    }
+    if (!packageJson.scripts.lint) {
+      packageJson.scripts.lint = 'eslint src --ext .ts,.vue';
+    }
+    if (!packageJson.scripts.test) {
+      packageJson.scripts.test = 'vitest run';
+      // Add testing dependencies if they don't exist
+      packageJson.devDependencies['vitest'] = defaultDependencies['vitest'];
+      packageJson.devDependencies['@vue/test-utils'] = defaultDependencies['@vue/test-utils'];
+    }
+
+    ctx.writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2));
+  } catch (error) {
+    ctx.error('Error creating Vue.js project:', error);
+    throw error;
+  }
+}
+
+export default {
+  id: 'vue',
+  category: 'Frontend',
+  displayName: 'Vue.js',
+  dependencies: pickDependencies([]),
+  create: (ctx, { projectDir, packageName, offline }) => createVueProject(ctx, projectDir, packageName, { offline })
+};
@@ -0,0 +1,220 @@
+/**
+ * Helpers shared by the monorepo CLI scripts: environment checks, Git and user prompts
+ */
+
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import { execSync } from 'child_process';
+import { exit } from 'process';
+import { fileURLToPath } from 'url';
+
+/**
+ * Checks if script is running with administrator privileges on Windows
+ * @returns {boolean} True if admin rights are available or not on Windows
+ */
+function isAdminWindows() {
+  if (os.platform() !== 'win32') return true; // Not Windows, assume it has the necessary permissions
+  try {
+    execSync('net session', { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Determines the root directory of the monorepo
+ * @returns {string} The absolute path to the root directory
+ */
+function findRootDir() {
+  // Get the current script's directory
+  const __filename = fileURLToPath(import.meta.url);
+  const currentDir = path.dirname(__filename);
+  
+  // Expected path of the current script
+  const expectedScriptPath = path.join('cli');
+
+  // Check if the current script is in the expected location
+  if (!currentDir.endsWith(expectedScriptPath)) {
+    console.error(chalk.red('Error: This script must be located in <rootDir>/cli'));
+    exit(1);
+  }
+
+  // Calculate the root directory by removing the expected path from the current directory
+  return currentDir.slice(0, currentDir.length - expectedScriptPath.length);
+}
+
+/**
+ * Checks if the directory is under Git version control
+ * @param {string} dir - Directory to check
+ * @returns {boolean} True if the directory is under Git version control
+ */
+function isGitRepository(dir) {
+  try {
+    execSync('git rev-parse --is-inside-work-tree', {
+      cwd: dir,
+      stdio: 'ignore'
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks if the npm registry answers, so that generators run with npx can download their packages
+ * @returns {boolean} True if "npm ping" succeeds within a few seconds
+ */
+function isRegistryReachable() {
+  try {
+    execSync('npm ping --fetch-retries=0 --fetch-timeout=5000', {
+      stdio: 'ignore',
+      timeout: 15000
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Adds files to Git
+ * @param {string} rootDir - Root directory of the repository
+ * @param {string[]} files - Array of file paths relative to rootDir
+ */
+function addFilesToGit(rootDir, files) {
+  try {
+    for (const file of files) {
+      execSync(`git add "${file}"`, {
+        cwd: rootDir,
+        stdio: 'ignore'
+      });
+    }
+    console.log(chalk.green('✅ Files successfully added to Git'));
+  } catch (error) {
+    console.error(chalk.red(`Error adding files to Git: ${error.message}`));
+  }
+}
+
+/**
+ * Creates an interactive menu with keyboard navigation
+ * @param {string} title - Menu title/prompt
+ * @param {string[]} options - Array of menu options
+ * @returns {Promise<number>} Index of selected option
+ */
+function createInteractiveMenu(title, options) {
+  let selectedIndex = 0;
+  let cursorPosition = 0;
+
+  function renderMenu() {
+    // Clear previous menu if any
+    if (cursorPosition > 0) {
+      process.stdout.write(`\x1B[${cursorPosition}A`); // Move cursor up
+      process.stdout.write(`\x1B[J`); // Clear from cursor to end of screen
+    }
+
+    // Render the title and navigation hint
+    console.log(chalk.bold(title));
+    console.log(chalk.italic('Use ↑/↓ arrow keys to navigate and Enter to select'));
+    console.log('');
+
+    // Render menu options
+    options.forEach((option, index) => {
+      if (index === selectedIndex) {
+        console.log(chalk.blue(`> ${option}`));
+      } else {
+        console.log(`  ${option}`);
+      }
+    });
+
+    // Update cursor position for next render
+    cursorPosition = options.length + 3; // title + hint + blank line + options
+  }
+
+  return new Promise((resolve) => {
+    // Set up terminal to handle input without requiring Enter
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    process.stdin.resume(); // Ensure stdin is active
+
+    renderMenu();
+
+    // Handle keypress events
+    const onKeyPress = (str, key) => {
+      if (key.name === 'c' && key.ctrl) {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        exit(0);
+      } else if (key.name === 'up' && selectedIndex > 0) {
+        selectedIndex--;
+        renderMenu();
+      } else if (key.name === 'down' && selectedIndex < options.length - 1) {
+        selectedIndex++;
+        renderMenu();
+      } else if (key.name === 'return') {
+        process.stdin.removeListener('keypress', onKeyPress); // Clean up listener
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+        resolve(selectedIndex);
+      }
+    };
+
+    process.stdin.on('keypress', onKeyPress);
+  });
+}
+
+/**
+ * Creates a standard readline interface for text input
+ * @returns {readline.Interface} Readline interface
+ */
+function createPrompt() {
+  return readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+}
+
+/**
+ * Asks user a yes/no question and returns their answer
+ * @param {string} question - The question to ask
+ * @returns {Promise<boolean>} User's answer (true for yes, false for no)
+ */
+async function askYesNo(question) {
+  const prompt = createPrompt();
+
+  const answer = await new Promise((resolve) => {
+    prompt.question(
+      chalk.yellow(`${question} (y/n): `),
+      (answer) => resolve(answer.trim().toLowerCase())
+    );
+  });
+
+  prompt.close();
+  return answer === 'y' || answer === 'yes';
+}
+
+/**
+ * Reports invalid command line arguments and terminates the process
+ * @param {string} message - Error description
+ */
+function exitWithUsageError(message) {
+  console.error(chalk.red(`Error: ${message}`));
+  console.error(chalk.yellow('Run with --help to see the available options.'));
+  exit(2);
+}
+
+export {
+  isAdminWindows,
+  findRootDir,
+  isGitRepository,
+  isRegistryReachable,
+  addFilesToGit,
+  createInteractiveMenu,
+  createPrompt,
+  askYesNo,
+  exitWithUsageError
+};
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/**
+ * This script watches the shared directory and the sources of the projects. After a burst of
+ * changes it works out the affected projects (the ones that contain the changed files, import
+ * them through the shared symlink or depend on such projects) and rebuilds them, or restarts
+ * their dev scripts.
+ *
+ * Usage: npm run watch -- [<project>...] [--dev] [--debounce <ms>] [--concurrency <n>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { exit } from 'process';
+import { parseArgs } from 'util';
+import { findRootDir, exitWithUsageError } from './utils.js';
+import { readMonorepoConfig, getSharedLibraries, getProjectSharedLibraries } from './monorepo-config.js';
+import { getProjects } from './workspace.js';
+import { sortProjects } from './project-references.js';
+import { findAffectedProjects } from './affected-projects.js';
+import { getPackageManager } from './package-managers.js';
+import { ScaffoldContext } from './scaffold-context.js';
+import { syncSharedCopy } from './shared-copy.js';
+import { getTaskRunnerOptions, createProjectPrefixes, runCommand, runTasks, printTaskSummary } from './task-runner.js';
+
+/**
+ * Time without changes after which the changes are handled, in milliseconds
+ */
+const defaultDebounce = 300;
+
+/**
+ * Changed paths that never affect a project
+ */
+const ignoredPathPattern = /(^|\/)(node_modules|dist|build|\.git)(\/|$)/;
+
+/**
+ * Prints command line usage
+ */
+function printUsage() {
+  console.log(`Usage:
+  npm run watch -- [<project>...] [--dev] [--debounce <ms>] [--concurrency <n>]
+
+Builds the projects, then watches the shared directory and the sources of the projects. When files
+change, the projects that contain them, import them through the shared symlink or depend on such
+projects are built again. With --dev, the dev scripts of the projects are started instead and the
+affected ones are restarted.
+
+Options:
+  <project>            Watch only these projects, default: all projects
+  --dev                Run and restart the dev scripts instead of building
+  --debounce <ms>      Wait until there are no changes for <ms> milliseconds, default: ${defaultDebounce}
+  --concurrency <n>    Build up to <n> projects at the same time, default: the number of CPUs
+  -h, --help           Show this help
+
+Press Ctrl+C to stop watching.`);
+}
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Command line arguments without the node and script paths
+ * @returns {{help: boolean, projects: string[], dev: boolean, debounce: number, concurrency: number}} Parsed options
+ */
+function parseCommandLine(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        'dev': { type: 'boolean' },
+        'debounce': { type: 'string' },
+        'concurrency': { type: 'string' },
+        'help': { type: 'boolean', short: 'h' }
+      },
+      strict: true,
+      allowPositionals: true
+    }));
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  const debounce = values['debounce'] === undefined ? defaultDebounce : Number(values['debounce']);
+  if (!Number.isInteger(debounce) || debounce < 0) {
+    exitWithUsageError(`--debounce must be a number of milliseconds, got "${values['debounce']}"`);
+  }
+
+  let runnerOptions;
+  try {
+    runnerOptions = getTaskRunnerOptions({ concurrency: values['concurrency'] });
+  } catch (error) {
+    exitWithUsageError(error.message);
+  }
+
+  return {
+    help: Boolean(values['help']),
+    projects: positionals,
+    dev: Boolean(values['dev']),
+    debounce,
+    concurrency: runnerOptions.concurrency
+  };
+}
+
+/**
+ * Watches a directory with its subdirectories
+ * @param {string} dir - Directory to watch
+ * @param {function(string): void} onChange - Called with the path of every changed file or directory
+ * @returns {fs.FSWatcher|null} The watcher, null if the directory doesn't exist
+ */
+function watchDirectory(dir, onChange) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  return fs.watch(dir, { recursive: true }, (eventType, filename) => {
+    if (filename) {
+      onChange(path.join(dir, filename.toString()));
+    }
+  });
+}
+
+/**
+ * Main function of the watch command
+ */
+async function main() {
+  const args = parseCommandLine(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const rootDir = findRootDir();
+  const config = readMonorepoConfig(rootDir);
+  const manager = getPackageManager(rootDir);
+  const projects = sortProjects(getProjects(rootDir));
+  for (const name of args.projects) {
+    if (!projects.some(project => project.name === name)) {
+      exitWithUsageError(`Project "${name}" not found, available: ${projects.map(project => project.name).join(', ')}`);
+    }
+  }
+  const selected = args.projects.length > 0 ? projects.filter(project => args.projects.includes(project.name)) : projects;
+
+  // Dev mode: one dev process per project, replaced when the project is affected
+  const prefixes = createProjectPrefixes(selected);
+  const devProcesses = new Map();
+  const startDev = (project) => {
+    const prefix = prefixes.get(project);
+    console.log(`${prefix}${chalk.bold('▶ dev')}`);
+    const command = runCommand(manager.runInWorkspace('dev', project.packageName), rootDir, prefix);
+    devProcesses.set(project, command);
+    command.promise.then(({ exitCode }) => {
+      if (devProcesses.get(project) === command) {
+        devProcesses.delete(project);
+        console.log(`${prefix}${chalk.gray(`dev exited with code ${exitCode}, it restarts on the next change`)}`);
+      }
+    });
+  };
+  const restartDev = async (affected) => {
+    for (const project of affected.filter(project => project.packageJson.scripts?.dev)) {
+      const running = devProcesses.get(project);
+      if (running) {
+        devProcesses.delete(project);
+        running.cancel();
+        await running.promise;
+      }
+      startDev(project);
+    }
+  };
+
+  const build = async (affected) => {
+    const results = await runTasks({ rootDir, script: 'build', projects: affected, concurrency: args.concurrency, continueOnError: true });
+    printTaskSummary('build', results);
+  };
+
+  // In the "copy" shared mode the projects build from their copies, which are refreshed first
+  const syncCopies = (affected) => {
+    for (const project of affected) {
+      for (const library of getProjectSharedLibraries(config, project.packageJson)) {
+        try {
+          syncSharedCopy(new ScaffoldContext(), path.join(rootDir, library.dir), path.join(project.dir, 'src', library.symlink));
+        } catch (error) {
+          console.warn(chalk.yellow(`${project.name}: ${error.message}`));
+        }
+      }
+    }
+  };
+
+  const watchers = [];
+  const stop = () => {
+    watchers.forEach(watcher => watcher.close());
+    for (const command of devProcesses.values()) {
+      command.cancel();
+    }
+    exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  if (args.dev) {
+    const devProjects = selected.filter(project => project.packageJson.scripts?.dev);
+    if (devProjects.length === 0) {
+      exitWithUsageError('None of the projects has a "dev" script');
+    }
+    devProjects.forEach(startDev);
+  } else {
+    await build(selected);
+  }
+
+  // Changes are collected until there are none for the debounce time, changes made while
+  // the projects are rebuilt are handled right after
+  const changedFiles = new Set();
+  let timer = null;
+  let busy = false;
+
+  const handleChanges = async () => {
+    if (busy || changedFiles.size === 0) {
+      return;
+    }
+    const files = [...changedFiles];
+    changedFiles.clear();
+    busy = true;
+
+    try {
+      const affectedNames = new Set(findAffectedProjects(rootDir, files).map(({ project }) => project.name));
+      const affected = selected.filter(project => affectedNames.has(project.name));
+      console.log(chalk.bold.blue(`\n🔄 Changed: ${files.slice(0, 3).join(', ')}${files.length > 3 ? ` and ${files.length - 3} more` : ''}`));
+      if (affected.length === 0) {
+        console.log(chalk.gray('No watched project is affected'));
+      } else {
+        console.log(chalk.blue(`Affected: ${affected.map(({ name }) => name).join(', ')}`));
+        if (config.sharedMode === 'copy' && files.some(file => file.startsWith(`${config.sharedDir}/`))) {
+          syncCopies(affected);
+        }
+        await (args.dev ? restartDev(affected) : build(affected));
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    } finally {
+      busy = false;
+    }
+    handleChanges();
+  };
+
+  const linkNames = [config.sharedSymlink, ...getSharedLibraries(config).map(library => library.symlink)];
+  const onChange = (filePath) => {
+    const file = path.relative(rootDir, filePath).replace(/\\/g, '/');
+    if (ignoredPathPattern.test(file) || file.split('/').some(segment => linkNames.includes(segment))) {
+      return;
+    }
+    changedFiles.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(handleChanges, args.debounce);
+  };
+
+  // The shared code is watched once, not through the symlinks in every project
+  const watchedDirs = [
+    path.join(rootDir, config.sharedDir),
+    ...selected.map(project => fs.existsSync(path.join(project.dir, 'src')) ? path.join(project.dir, 'src') : project.dir)
+  ];
+  watchedDirs.forEach(dir => {
+    const watcher = watchDirectory(dir, onChange);
+    if (watcher) {
+      watchers.push(watcher);
+    }
+  });
+  console.log(chalk.bold.blue(`\n👀 Watching ${config.sharedDir} and ${selected.length} project(s), press Ctrl+C to stop`));
+}
+
+// Execute the main function
+main().catch(err => {
+  console.error(chalk.red('Error:'), err.message);
+  exit(1);
+});
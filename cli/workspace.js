@@ -0,0 +1,239 @@
+/**
+ * Helpers for inspecting and updating the workspace projects of an existing monorepo
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readMonorepoConfig, getPackageName } from './monorepo-config.js';
+
+/**
+ * Scripts registered in the root package.json for every project as "<script>:<projectName>"
+ */
+const rootScriptNames = ['clean', 'lint', 'test', 'build', 'start'];
+
+/**
+ * Dependency sections of package.json that may reference other workspace projects
+ */
+const dependencySections = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+/**
+ * Extensions of source files that may contain import specifiers
+ */
+const sourceExtensions = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte'];
+
+/**
+ * Directories that never contain project sources
+ */
+const ignoredSourceDirs = ['node_modules', 'dist', 'build', '.git'];
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {object} Parsed content
+ */
+function readJsonFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes an object as a JSON file formatted the way the CLI creates them
+ * @param {string} filePath - Path to the file
+ * @param {object} data - Content to write
+ */
+function writeJsonFile(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Lists the directories matching a workspace glob, "*" matches one directory level
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} glob - Workspace glob relative to rootDir, e.g. "projects/apps/*"
+ * @returns {string[]} Matching directories
+ */
+function expandWorkspaceGlob(rootDir, glob) {
+  let dirs = [rootDir];
+  for (const segment of glob.split('/')) {
+    const pattern = new RegExp(`^${segment.split('*').map(escapeRegExp).join('[^/]*')}$`);
+    dirs = dirs.flatMap(dir => {
+      if (!fs.existsSync(dir)) {
+        return [];
+      }
+      return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory() && !dirent.name.startsWith('.') && dirent.name !== 'node_modules')
+        .filter(dirent => pattern.test(dirent.name))
+        .map(dirent => path.join(dir, dirent.name));
+    });
+  }
+  return dirs;
+}
+
+/**
+ * Lists the workspace projects of the monorepo, in the groups of the configured workspace globs
+ * @param {string} rootDir - Root directory of the monorepo
+ * @returns {{name: string, dir: string, packageName: string, packageJson: object}[]} Projects with a package.json
+ */
+function getProjects(rootDir) {
+  const config = readMonorepoConfig(rootDir);
+  const dirs = [...new Set(config.workspaces.flatMap(glob => expandWorkspaceGlob(rootDir, glob)))];
+
+  return dirs
+    .filter(dir => fs.existsSync(path.join(dir, 'package.json')))
+    .map(dir => {
+      const packageJson = readJsonFile(path.join(dir, 'package.json'));
+      return {
+        name: path.basename(dir),
+        dir,
+        packageName: packageJson.name || getPackageName(config, path.basename(dir)),
+        packageJson
+      };
+    });
+}
+
+/**
+ * Finds a workspace project by its directory name
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} projectName - Project directory name
+ * @returns {{name: string, dir: string, packageName: string, packageJson: object}|undefined} The project if it exists
+ */
+function findProject(rootDir, projectName) {
+  return getProjects(rootDir).find(project => project.name === projectName);
+}
+
+/**
+ * Checks if a root script belongs to a project: either a standard "<script>:<projectName>"
+ * entry or any other script that runs a command in the project's workspace with npm
+ * (--workspace), pnpm or Bun (--filter) or Yarn (workspace)
+ * @param {string} scriptName - Name of the root script
+ * @param {string} command - Command of the root script
+ * @param {string} projectName - Project directory name
+ * @param {string} packageName - Package name of the project
+ * @returns {boolean} True if the script belongs to the project
+ */
+function isProjectRootScript(scriptName, command, projectName, packageName) {
+  if (rootScriptNames.some(name => scriptName === `${name}:${projectName}`)) {
+    return true;
+  }
+  return new RegExp(`(--workspace[= ]|--filter[= ]|\\bworkspace\\s+)${escapeRegExp(packageName)}(\\s|$)`).test(command);
+}
+
+/**
+ * Checks if a tsconfig reference points to the given project
+ * @param {string} configDir - Directory of the tsconfig.json containing the reference
+ * @param {{path: string}} reference - Project reference
+ * @param {string} projectDir - Project directory
+ * @returns {boolean} True if the reference points to the project
+ */
+function isReferenceTo(configDir, reference, projectDir) {
+  const referencePath = path.resolve(configDir, reference.path || '');
+  return referencePath === projectDir || referencePath === path.join(projectDir, 'tsconfig.json');
+}
+
+/**
+ * Replaces the module specifiers of import/export declarations, dynamic imports,
+ * require() calls and jest/vi.mock() calls in a source file
+ * @param {string} source - Source code
+ * @param {function(string): (string|undefined)} replacer - Returns the new specifier or undefined to keep it
+ * @returns {string} Updated source code
+ */
+function replaceImportSpecifiers(source, replacer) {
+  return source.replace(
+    /(\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|\.mock\s*\(\s*)(['"`])([^'"`\r\n]+)\2/g,
+    (match, prefix, quote, specifier) => {
+      const replacement = replacer(specifier);
+      return replacement === undefined ? match : `${prefix}${quote}${replacement}${quote}`;
+    }
+  );
+}
+
+/**
+ * Collects the import specifiers of a source file
+ * @param {string} filePath - Path to the source file
+ * @returns {string[]} Import specifiers
+ */
+function collectImportSpecifiers(filePath) {
+  const specifiers = [];
+  replaceImportSpecifiers(fs.readFileSync(filePath, 'utf8'), specifier => {
+    specifiers.push(specifier);
+    return undefined;
+  });
+  return specifiers;
+}
+
+/**
+ * Lists source files of a project directory recursively. Symlinks are not followed,
+ * so the shared code linked as src/@shared is not included.
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Absolute paths of the source files
+ */
+function listSourceFiles(dir) {
+  const result = [];
+  if (!fs.existsSync(dir)) {
+    return result;
+  }
+
+  for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      if (!ignoredSourceDirs.includes(dirent.name)) {
+        result.push(...listSourceFiles(entryPath));
+      }
+    } else if (dirent.isFile() && sourceExtensions.includes(path.extname(dirent.name))) {
+      result.push(entryPath);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Renames a key of an object in place of the old one
+ * @param {object} object - Object to update
+ * @param {string} oldKey - Current key
+ * @param {string} newKey - New key
+ * @returns {object} New object with the same key order
+ */
+function renameKey(object, oldKey, newKey) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key === oldKey ? newKey : key, value]));
+}
+
+/**
+ * Removes the workspace link npm created for the old package name in the root node_modules
+ * @param {string} rootDir - Root directory of the monorepo
+ * @param {string} packageName - Old package name
+ */
+function removeWorkspaceLink(rootDir, packageName) {
+  const workspaceLink = path.join(rootDir, 'node_modules', ...packageName.split('/'));
+  try {
+    if (fs.lstatSync(workspaceLink).isSymbolicLink()) {
+      fs.unlinkSync(workspaceLink);
+    }
+  } catch (error) {
+    // No workspace link, nothing to remove
+  }
+}
+
+export {
+  rootScriptNames,
+  dependencySections,
+  escapeRegExp,
+  readJsonFile,
+  writeJsonFile,
+  renameKey,
+  getProjects,
+  findProject,
+  isProjectRootScript,
+  isReferenceTo,
+  replaceImportSpecifiers,
+  collectImportSpecifiers,
+  listSourceFiles,
+  removeWorkspaceLink
+};
@@ -3,11 +3,16 @@ import tseslint from "typescript-eslint";
 import { dirname, resolve } from "node:path";
 import { fileURLToPath } from "node:url";
 import { FlatCompat } from "@eslint/eslintrc";
+import { readMonorepoConfig } from "./cli/monorepo-config.js";
 
 // Get current directory path
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Project directories of the workspace globs configured in monorepo.config.json
+const { workspaces } = readMonorepoConfig(__dirname);
+const projectPatterns = (suffix) => workspaces.map((glob) => `${glob}/${suffix}`);
+
 // Create FlatCompat instance to support importing legacy presets and plugins
 const compat = new FlatCompat({
   recommendedConfig: tseslint.configs.recommended,
@@ -16,8 +21,8 @@ const compat = new FlatCompat({
 
 // Setup file patterns for monorepo
 const basePatterns = [
-  "projects/*/src/**/*.ts",
-  "projects/*/src/**/*.tsx",
+  ...projectPatterns("src/**/*.ts"),
+  ...projectPatterns("src/**/*.tsx"),
   // Don't lint files in node_modules and dist
   "!**/node_modules/**",
   "!**/dist/**",
@@ -29,7 +34,7 @@ export default [
     languageOptions: {
       parser: tseslint.parser,
       parserOptions: {
-        project: ["./tsconfig.json", "./projects/*/tsconfig.json"],
+        project: ["./tsconfig.json", ...projectPatterns("tsconfig.json").map((pattern) => `./${pattern}`)],
         ecmaVersion: "latest",
         sourceType: "module",
         ecmaFeatures: {
@@ -119,7 +124,7 @@ export default [
 
   // Special rules for test files
   {
-    files: ["projects/*/src/**/*.test.ts", "projects/*/src/**/*.spec.ts"],
+    files: [...projectPatterns("src/**/*.test.ts"), ...projectPatterns("src/**/*.spec.ts")],
     rules: {
       // Relaxed rules for test files
       "@typescript-eslint/no-explicit-any": "off",
@@ -129,14 +134,14 @@ export default [
 
   // Type checking rules only for TypeScript files
   {
-    files: ["projects/*/src/**/*.ts", "projects/*/src/**/*.tsx"],
+    files: [...projectPatterns("src/**/*.ts"), ...projectPatterns("src/**/*.tsx")],
     rules: {
       "@typescript-eslint/no-unnecessary-type-assertion": "error",
       "@typescript-eslint/no-unnecessary-condition": "error",
     },
     languageOptions: {
       parserOptions: {
-        project: ["./tsconfig.json", "./projects/*/tsconfig.json"],
+        project: ["./tsconfig.json", ...projectPatterns("tsconfig.json").map((pattern) => `./${pattern}`)],
       },
     },
   },